@@ -2,7 +2,11 @@ import Config from "../config.mjs";
 import path from "path";
 import fs from "fs";
 import chalk from "chalk";
-import { compilePack, extractPack, TYPE_COLLECTION_MAP } from "../lib/package.mjs";
+import {
+  auditAssets, checkLinks, compilePack, convertPack, deleteDocument, diffPack, extractPack, inspectPack, listDocuments,
+  queryPack, readDocument, rekeyDocument, renamePack, validateSource, writeDocument, TYPE_COLLECTION_MAP
+} from "../lib/package.mjs";
+import { getFileFormat, resolveFormat } from "../lib/formats.mjs";
 
 /**
  * @typedef {"Module"|"System"|"World"} PackageType
@@ -10,7 +14,10 @@ import { compilePack, extractPack, TYPE_COLLECTION_MAP } from "../lib/package.mj
 
 /**
  * @typedef {object} CLIArgs
- * @property {"workon"|"clear"|"unpack"|"pack"} action  The action to perform.
+ * @property {
+ *   "workon"|"clear"|"create"|"add-pack"|"remove-pack"|"unpack"|"pack"|"validate"|"diff"|"convert"|"restore"|"get"
+ *   |"put"|"delete"|"list"|"query"|"inspect"|"check-links"|"rekey"|"rename-pack"|"audit-assets"
+ * } action                                             The action to perform.
  * @property {string} value                             The action value.
  * @property {string} [id]                              Optionally provide the package ID if we are using explicit
  *                                                      paths.
@@ -21,6 +28,7 @@ import { compilePack, extractPack, TYPE_COLLECTION_MAP } from "../lib/package.mj
  * @property {string} [inputDirectory]                  An explicit input directory for pack-based actions.
  * @property {string} [outputDirectory]                 An explicit output directory for pack-based actions.
  * @property {boolean} [yaml]                           Whether to use YAML instead of JSON for serialization.
+ * @property {string} [format]                          The name of the serialization format to use.
  * @property {boolean} [verbose]                        Whether to output verbose logging.
  * @property {boolean} [nedb]                           Use NeDB instead of ClassicLevel for database operations.
  * @property {boolean} [recursive]                      When packing, recurse down through all directories in the input
@@ -30,11 +38,60 @@ import { compilePack, extractPack, TYPE_COLLECTION_MAP } from "../lib/package.mj
  *                                                      compendium folders.
  * @property {boolean} [expandAdventures]               When unpacking, extract adventure documents into a folder with
  *                                                      each contained document as its own entry in a folder.
+ * @property {boolean} [expandEmbedded]                 When unpacking, write each embedded document to its own file in
+ *                                                      a folder named after its parent document.
+ * @property {boolean} [expandContent]                  When unpacking, write journal page text and script macro
+ *                                                      commands to their own files.
  * @property {boolean} [omitVolatile]                   When unpacking, diff the candidate entry against an existing one
- *                                                      and only write it if non-volatile fields have changed.
+ *                                                      and only write it if non-volatile fields have changed. When
+ *                                                      diffing, ignore changes to volatile fields.
  *                                                      Currently, _stats.createdTime, _stats.modifiedTime,
  *                                                      _stats.lastModifiedBy, _stats.systemVersion, and
  *                                                      _stats.coreVersion are considered volatile.
+ * @property {boolean} [canonical]                      When unpacking, serialize documents with sorted keys and
+ *                                                      embedded documents ordered by sort and ID, so that source files
+ *                                                      only change when their contents do.
+ * @property {boolean} [generateKeys]                   When packing, assign a random _id and a _key to source files
+ *                                                      that are missing them.
+ * @property {boolean} [writeKeys]                      When packing with generateKeys, write the generated IDs and keys
+ *                                                      back into the source files.
+ * @property {boolean} [keepGoing]                      When packing, read every source file before reporting any
+ *                                                      failures, and leave the pack untouched if any failed.
+ * @property {boolean} [backup]                         Before packing over an existing pack, or unpacking with clean,
+ *                                                      back up the pack or source directory. Defaults to true.
+ * @property {string[]} [where]                        When querying, the expressions that documents must match.
+ * @property {string[]} [fields]                       When querying, the fields to output the values of.
+ * @property {boolean} [source]                         When querying, checking links, or auditing assets, read the
+ *                                                      source files rather than the pack.
+ * @property {boolean} [dependencies]                   When checking links, also resolve links against the packs of
+ *                                                      the current package's declared dependencies.
+ * @property {string} [to]                              When rekeying, the document's new ID.
+ * @property {boolean} [bundle]                         When auditing assets, copy assets from outside the package into
+ *                                                      it and rewrite the paths that refer to them.
+ * @property {string} [assetDirectory]                  When bundling assets, the directory within the package to copy
+ *                                                      them to.
+ * @property {string} [title]                           When creating a package, its title.
+ * @property {string} [system]                          When creating a module, the ID of the system it is for.
+ * @property {string[]} [packs]                         When creating a package, the compendium packs it declares, in
+ *                                                      the form <name>:<DocumentType>.
+ * @property {string[]} [languages]                     When creating a package, the languages to create localization
+ *                                                      files for.
+ * @property {boolean} [scripts]                        When creating a package, create an ES module script for it.
+ * @property {string} [label]                           When adding a pack, its label.
+ * @property {string} [packPath]                        When adding a pack, its path relative to the package.
+ * @property {string[]} [ownership]                     When adding a pack, the ownership level of each user role, in
+ *                                                      the form <ROLE>=<LEVEL>.
+ * @property {string} [folder]                          When adding a pack, the compendium folder to group it in.
+ * @property {boolean} [json]                           Output the result of the action as JSON.
+ * @property {boolean} [dryRun]                         When packing or unpacking, report what would be written or
+ *                                                      deleted without writing anything.
+ * @property {boolean} [watch]                          When packing, watch the input directory and re-pack whenever
+ *                                                      the source files change.
+ * @property {boolean} [all]                            Operate on every compendium pack declared in the current
+ *                                                      package's manifest.
+ * @property {string} [manifestPackPath]                The path of a compendium pack as declared in its package's
+ *                                                      manifest, without the extension of NeDB packs. Derived from the
+ *                                                      manifest rather than given on the command line.
  */
 
 /**
@@ -49,6 +106,60 @@ let currentPackageId = null;
  */
 let currentPackageType = null;
 
+/**
+ * The time in milliseconds to wait for source file changes to settle before re-packing in watch mode.
+ * @type {number}
+ */
+const WATCH_DEBOUNCE = 250;
+
+/**
+ * The maximum time in milliseconds to wait between checks for a pack to be released by Foundry VTT in watch mode.
+ * @type {number}
+ */
+const WATCH_MAX_BACKOFF = 30000;
+
+/**
+ * The width in characters of the progress bar rendered while packing or unpacking.
+ * @type {number}
+ */
+const PROGRESS_BAR_WIDTH = 30;
+
+/**
+ * The number of backups kept for each compendium pack, if not configured otherwise.
+ * @type {number}
+ */
+const DEFAULT_BACKUP_RETENTION = 10;
+
+/**
+ * The name of the file that describes a backup.
+ * @type {string}
+ */
+const BACKUP_METADATA_FILE = "backup.json";
+
+/**
+ * The Foundry VTT versions that newly created packages declare compatibility with.
+ * @type {{minimum: string, verified: string}}
+ */
+const DEFAULT_COMPATIBILITY = { minimum: "12", verified: "13" };
+
+/**
+ * The types of compendium pack that a module must declare the system of.
+ * @type {string[]}
+ */
+const SYSTEM_PACK_TYPES = ["Actor", "Adventure", "Item"];
+
+/**
+ * The user roles that a compendium pack's ownership can be configured for.
+ * @type {string[]}
+ */
+const OWNERSHIP_ROLES = ["PLAYER", "TRUSTED", "ASSISTANT"];
+
+/**
+ * The ownership levels that a user role can have of a compendium pack.
+ * @type {string[]}
+ */
+const OWNERSHIP_LEVELS = ["NONE", "LIMITED", "OBSERVER", "OWNER"];
+
 /**
  * Get the command object for the package command
  * @returns {CommandModule}
@@ -61,7 +172,11 @@ export function getCommand() {
       yargs.positional("action", {
         describe: "The action to perform",
         type: "string",
-        choices: ["workon", "clear", "unpack", "pack"]
+        choices: [
+          "workon", "clear", "create", "add-pack", "remove-pack", "unpack", "pack", "validate", "diff", "convert",
+          "restore", "get", "put", "delete", "list", "query", "inspect", "check-links", "rekey", "rename-pack",
+          "audit-assets"
+        ]
       });
 
       yargs.positional("value", {
@@ -89,7 +204,7 @@ export function getCommand() {
 
       yargs.option("compendiumType", {
         alias: "t",
-        describe: "The type of document that the compendium pack stores. Only necessary for NeDB operations.",
+        describe: "The type of document that the compendium pack stores. Only necessary for NeDB operations, when generating keys, or when adding a pack.",
         type: "string",
         choices: Object.keys(TYPE_COLLECTION_MAP)
       });
@@ -111,6 +226,13 @@ export function getCommand() {
         type: "boolean"
       });
 
+      yargs.option("format", {
+        alias: "f",
+        describe: "The serialization format to use for source files, such as json or yaml. Takes precedence over the "
+          + "--yaml option.",
+        type: "string"
+      });
+
       yargs.option("verbose", {
         alias: "v",
         describe: "Whether to output verbose logging.",
@@ -118,7 +240,7 @@ export function getCommand() {
       });
 
       yargs.option("nedb", {
-        describe: "Whether to use NeDB instead of ClassicLevel for database operations.",
+        describe: "Whether to use NeDB instead of ClassicLevel for database operations. When converting, whether to convert from NeDB to ClassicLevel.",
         type: "boolean"
       });
 
@@ -130,7 +252,7 @@ export function getCommand() {
 
       yargs.option("clean", {
         alias: "c",
-        describe: "When unpacking, delete the destination directory first.",
+        describe: "When unpacking, delete the destination directory first. When removing a pack, delete its database and source directory.",
         type: "boolean"
       });
 
@@ -144,8 +266,153 @@ export function getCommand() {
         type: "boolean"
       });
 
+      yargs.option("expandEmbedded", {
+        describe: "When unpacking, write each embedded document, such as an actor's items or a scene's walls, to its own file in a folder named after its parent document. They are reassembled when packing. Use --recursive when packing to find documents in sub-directories.",
+        type: "boolean"
+      });
+
+      yargs.option("expandContent", {
+        describe: "When unpacking, write the HTML or Markdown text of journal pages, and the commands of script macros, to their own files alongside the document. They are inlined again when packing.",
+        type: "boolean"
+      });
+
       yargs.option("omitVolatile", {
-        describe: "When unpacking, diff the candidate entry against an existing one and only write it if non-volatile fields have changed. Currently, _stats.createdTime, _stats.modifiedTime, _stats.lastModifiedBy, _stats.systemVersion, and _stats.coreVersion are considered volatile.",
+        describe: "When unpacking, diff the candidate entry against an existing one and only write it if non-volatile fields have changed. When diffing, ignore changes to volatile fields. Currently, _stats.createdTime, _stats.modifiedTime, _stats.lastModifiedBy, _stats.systemVersion, and _stats.coreVersion are considered volatile.",
+        type: "boolean"
+      });
+
+      yargs.option("canonical", {
+        describe: "When unpacking, serialize documents canonically: object keys are sorted, with _id, name, and type first, embedded documents are ordered by their sort field and then their _id, and line endings are normalized. This keeps source files stable and diffs minimal.",
+        type: "boolean"
+      });
+
+      yargs.option("generateKeys", {
+        describe: "When packing, assign a random _id and a _key to source files, and their embedded documents, that are missing them instead of skipping them.",
+        type: "boolean"
+      });
+
+      yargs.option("writeKeys", {
+        describe: "When packing with --generateKeys, write the generated IDs and keys back into the source files so that they remain stable.",
+        type: "boolean"
+      });
+
+      yargs.option("keepGoing", {
+        alias: "k",
+        describe: "When packing, continue past source files that fail to compile and report every failure at once. The pack is left untouched if any failed.",
+        type: "boolean"
+      });
+
+      yargs.option("dryRun", {
+        describe: "When packing, unpacking, converting, rekeying, renaming a pack, or bundling assets, report what would be written or deleted without writing anything.",
+        type: "boolean"
+      });
+
+      yargs.option("watch", {
+        alias: "w",
+        describe: "When packing, watch the input directory and re-pack whenever the source files change.",
+        type: "boolean"
+      });
+
+      yargs.option("backup", {
+        describe: "Back up the existing pack before packing or writing to it, or the source directory before unpacking with --clean. Use --no-backup to disable.",
+        type: "boolean",
+        default: true
+      });
+
+      yargs.option("where", {
+        describe: "When querying, an expression that documents must match, such as \"system.price.value>100\". May be given more than once.",
+        type: "string",
+        array: true
+      });
+
+      yargs.option("fields", {
+        describe: "When querying, the paths of fields to output the values of for each matching document.",
+        type: "string",
+        array: true
+      });
+
+      yargs.option("source", {
+        describe: "When querying, checking links, or auditing assets, read the source files in the input directory rather than the compendium pack.",
+        type: "boolean"
+      });
+
+      yargs.option("dependencies", {
+        describe: "When checking links, also resolve links against the compendium packs of the packages that the current package declares as dependencies.",
+        type: "boolean"
+      });
+
+      yargs.option("to", {
+        describe: "When rekeying, the new ID to give the document. A random ID is generated if it is not provided.",
+        type: "string"
+      });
+
+      yargs.option("bundle", {
+        describe: "When auditing assets, copy assets that are outside the package into it, and rewrite the paths that refer to them, so that the package is self-contained.",
+        type: "boolean"
+      });
+
+      yargs.option("assetDirectory", {
+        describe: "When bundling assets, the directory within the package to copy them to.",
+        type: "string",
+        default: "assets"
+      });
+
+      yargs.option("title", {
+        describe: "When creating a package, its title. Defaults to a title derived from its ID.",
+        type: "string"
+      });
+
+      yargs.option("system", {
+        describe: "When creating a module, the ID of the system it is for. Its Actor, Item, and Adventure compendium packs are declared for this system.",
+        type: "string"
+      });
+
+      yargs.option("packs", {
+        describe: "When creating a package, the compendium packs to declare and create source directories for, in the form <name>:<DocumentType>, such as spells:Item.",
+        type: "string",
+        array: true
+      });
+
+      yargs.option("languages", {
+        describe: "When creating a package, the language codes to declare and create empty localization files for. Defaults to en if no codes are given.",
+        type: "string",
+        array: true
+      });
+
+      yargs.option("scripts", {
+        describe: "When creating a package, declare and create an ES module script for it.",
+        type: "boolean"
+      });
+
+      yargs.option("label", {
+        describe: "When adding a pack, its label. Defaults to a label derived from its name.",
+        type: "string"
+      });
+
+      yargs.option("packPath", {
+        describe: "When adding a pack, its path relative to the package. Defaults to packs/<name>.",
+        type: "string"
+      });
+
+      yargs.option("ownership", {
+        describe: "When adding a pack, the ownership level of each user role, in the form <ROLE>=<LEVEL>, such as PLAYER=OBSERVER ASSISTANT=OWNER.",
+        type: "string",
+        array: true
+      });
+
+      yargs.option("folder", {
+        describe: "When adding a pack, the compendium folder to group it in. Separate the names of nested folders with /. Pass an empty name to remove it from its folder.",
+        type: "string"
+      });
+
+      yargs.option("json", {
+        describe: "Output the result of the action as JSON.",
+        type: "boolean"
+      });
+
+      yargs.option("all", {
+        alias: "a",
+        describe: "Pack, unpack, or validate every compendium pack declared in the current package's manifest.",
         type: "boolean"
       });
 
@@ -161,8 +428,25 @@ export function getCommand() {
       switch ( argv.action ) {
         case "workon": handleWorkon(argv); break;
         case "clear": handleClear(); break;
+        case "create": handleCreate(argv); break;
+        case "add-pack": await handleAddPack(argv); break;
+        case "remove-pack": handleRemovePack(argv); break;
         case "unpack": await handleUnpack(argv); break;
         case "pack": await handlePack(argv); break;
+        case "validate": await handleValidate(argv); break;
+        case "diff": await handleDiff(argv); break;
+        case "convert": await handleConvert(argv); break;
+        case "restore": handleRestore(argv); break;
+        case "get": await handleGet(argv); break;
+        case "put": await handlePut(argv); break;
+        case "delete": await handleDelete(argv); break;
+        case "list": await handleList(argv); break;
+        case "query": await handleQuery(argv); break;
+        case "inspect": await handleInspect(argv); break;
+        case "check-links": await handleCheckLinks(argv); break;
+        case "rekey": await handleRekey(argv); break;
+        case "rename-pack": await handleRenamePack(argv); break;
+        case "audit-assets": await handleAuditAssets(argv); break;
 
         default:
           if ( !currentPackageId ) {
@@ -239,6 +523,25 @@ function discoverPackageDirectory(argv) {
 
 /* -------------------------------------------- */
 
+/**
+ * Retrieve the manifest data of the current working package.
+ * @param {CLIArgs} argv      The command-line arguments.
+ * @returns {object|void}     The package's manifest data, if it could be found.
+ */
+function getCurrentPackage(argv) {
+  if ( !currentPackageId || !currentPackageType ) {
+    console.error("Package ID or type could not be determined. Use `package workon <id>` to set it.");
+    return;
+  }
+  const game = discoverPackageDirectory(argv);
+  if ( !game ) return;
+  const pkg = game[`${currentPackageType.toLowerCase()}s`]?.get(currentPackageId);
+  if ( !pkg ) console.error(chalk.red(`No package with ID ${chalk.cyan(currentPackageId)} found.`));
+  return pkg;
+}
+
+/* -------------------------------------------- */
+
 /**
  * Determine the document type of an NeDB database from the command-line arguments, if specified, or from the database's
  * containing package.
@@ -292,6 +595,43 @@ function isFileLocked(filepath) {
 
 /* -------------------------------------------- */
 
+/**
+ * @typedef {object} ProgressReporting
+ * @property {boolean} log                          Whether the operation should log each entry it processes.
+ * @property {function(object): void} [onProgress]  A callback to pass progress events to.
+ * @property {function(object): void} finish        A function to call with the operation's result once it has
+ *                                                  finished, or with nothing if it failed.
+ */
+
+/**
+ * Determine how a pack or unpack operation should report its progress. When writing to an interactive terminal, a
+ * progress bar is rendered followed by the operation's totals. Otherwise, or when verbose logging was requested, each
+ * entry is logged as it is processed.
+ * @param {CLIArgs} argv  The command line arguments.
+ * @returns {ProgressReporting}
+ */
+function createProgressReporting(argv) {
+  if ( !process.stdout.isTTY || argv.verbose || argv.dryRun ) return { log: true, finish: () => {} };
+  let rendered = false;
+  const onProgress = ({ type, current=0, total }) => {
+    if ( (type !== "start") && (type !== "progress") ) return;
+    const filled = total ? Math.round((current / total) * PROGRESS_BAR_WIDTH) : PROGRESS_BAR_WIDTH;
+    const bar = "#".repeat(filled) + "-".repeat(PROGRESS_BAR_WIDTH - filled);
+    process.stdout.write(`\r[${chalk.green(bar)}] ${current}/${total}`);
+    rendered = true;
+  };
+  const finish = result => {
+    if ( rendered ) process.stdout.write("\n");
+    if ( !result ) return;
+    const { written, removed, unchanged, skipped, duration } = result;
+    console.log(`${chalk.green(written.length)} written, ${chalk.red(removed.length)} removed, `
+      + `${unchanged.length} unchanged, ${chalk.yellow(skipped.length)} skipped in ${Math.round(duration)}ms.`);
+  };
+  return { log: false, onProgress, finish };
+}
+
+/* -------------------------------------------- */
+
 /**
  * @typedef {object} OperationPaths
  * @property {string} source  The source data files.
@@ -326,10 +666,13 @@ function determinePaths(argv, operation) {
   let pack = operation === "pack" ? argv.outputDirectory : argv.inputDirectory;
   let source = operation === "pack" ? argv.inputDirectory : argv.outputDirectory;
   if ( pack ) pack = path.join(pack, compendiumName);
+  else if ( argv.manifestPackPath ) pack = argv.manifestPackPath;
   else {
     const typeDir = `${currentPackageType.toLowerCase()}s`;
     pack = path.join(dataPath, "Data", typeDir, currentPackageId, "packs", compendiumName);
   }
+  // When operating on every pack, each one needs its own source directory.
+  if ( source && argv.all ) source = path.join(source, compendiumName);
   source ??= path.join(pack, "_source");
   if ( argv.nedb ) pack += ".db";
   return { source: path.resolve(path.normalize(source)), pack: path.resolve(path.normalize(pack)) };
@@ -386,83 +729,2026 @@ function handleClear() {
 }
 
 /* -------------------------------------------- */
-/*  Unpacking                                   */
+/*  Creating                                    */
 /* -------------------------------------------- */
 
 /**
- * Load a compendium pack and serialize the DB entries, each to their own file
+ * Create a new module or system with a manifest and any requested compendium packs, localization files, and
+ * scripts, and set it as the current package.
  * @param {CLIArgs} argv  The command line arguments
- * @returns {Promise<void>}
  */
-async function handleUnpack(argv) {
-  const { source, pack } = determinePaths(argv, "unpack");
-  if ( !source || !pack ) {
+function handleCreate(argv) {
+  const id = argv.value;
+  const type = argv.type ?? "Module";
+  if ( !id || !/^[a-zA-Z0-9_-]+$/.test(id) ) {
+    console.error(chalk.red("Provide an ID for the package containing only letters, numbers, hyphens, and "
+      + "underscores."));
+    process.exitCode = 1;
+    return;
+  }
+  if ( type === "World" ) {
+    console.error(chalk.red("Worlds must be created in Foundry VTT. Use --type Module or --type System."));
+    process.exitCode = 1;
+    return;
+  }
+  const dataPath = Config.instance.get("dataPath");
+  if ( !dataPath ) {
+    console.error(chalk.red(`No dataPath configured. Call ${chalk.yellow("`configure set dataPath <path>`")} first.`));
     process.exitCode = 1;
     return;
   }
 
-  let documentType;
-  const { nedb, yaml, clean, folders, expandAdventures, omitVolatile } = argv;
-  if ( nedb ) {
-    documentType = determineDocumentType(pack, argv);
-    if ( !documentType ) {
+  // Parse the requested compendium packs.
+  const packs = [];
+  for ( const spec of argv.packs ?? [] ) {
+    const [name, documentType] = spec.split(":");
+    if ( !/^[a-zA-Z0-9_-]+$/.test(name) || !(documentType in TYPE_COLLECTION_MAP) ) {
+      console.error(chalk.red(`Invalid compendium pack "${spec}". Packs take the form <name>:<DocumentType>, where `
+        + `the type is one of ${Object.keys(TYPE_COLLECTION_MAP).join(", ")}.`));
       process.exitCode = 1;
       return;
     }
+    packs.push({ name, documentType });
   }
 
-  if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
-    console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
-      + "Please close Foundry VTT and try again."));
+  const typeLC = type.toLowerCase();
+  const root = path.join(dataPath, "Data", `${typeLC}s`, id);
+  if ( fs.existsSync(root) ) {
+    console.error(chalk.red(`A ${typeLC} already exists at "${chalk.blue(root)}".`));
     process.exitCode = 1;
     return;
   }
 
-  const dbMode = nedb ? "nedb" : "classic-level";
-  console.log(`[${dbMode}] Unpacking "${chalk.blue(pack)}" to "${chalk.blue(source)}"`);
-
+  const manifest = createManifest(id, type, { ...argv, packs });
+  const files = { [`${typeLC}.json`]: JSON.stringify(manifest, null, 2) + "\n" };
+  for ( const { path: langPath } of manifest.languages ) files[langPath] = "{}\n";
+  for ( const script of manifest.esmodules ) {
+    files[script] = `Hooks.once("init", () => {\n  console.log("${manifest.title} | Initializing");\n});\n`;
+  }
   try {
-    await extractPack(pack, source, {
-      nedb, yaml, documentType, clean, folders, expandAdventures, omitVolatile, log: true
-    });
+    for ( const [file, content] of Object.entries(files) ) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    }
+    fs.mkdirSync(path.join(root, "packs"), { recursive: true });
+    for ( const pack of manifest.packs ) fs.mkdirSync(path.join(root, pack.path, "_source"), { recursive: true });
   } catch ( err ) {
+    console.error(chalk.red(`Failed to create the ${typeLC} at "${chalk.blue(root)}".`));
     console.error(err);
+    fs.rmSync(root, { recursive: true, force: true });
     process.exitCode = 1;
+    return;
   }
+  console.log(`Created ${chalk.magenta(type)} ${chalk.cyan(id)} at "${chalk.blue(root)}"`);
+  handleWorkon({ ...argv, value: id, type });
 }
 
 /* -------------------------------------------- */
-/*  Packing                                     */
+
+/**
+ * Generate the manifest of a new package.
+ * @param {string} id                    The package's ID.
+ * @param {PackageType} type             The package's type.
+ * @param {object} [options]
+ * @param {string} [options.title]       The package's title.
+ * @param {string} [options.system]      The ID of the system a module is for.
+ * @param {Array<{name: string, documentType: string}>} [options.packs]  The compendium packs the package declares.
+ * @param {string[]} [options.languages] The language codes the package has localization files for.
+ * @param {boolean} [options.scripts]    Whether the package has an ES module script.
+ * @returns {object}
+ */
+function createManifest(id, type, { title, system, packs=[], languages, scripts }={}) {
+  title ??= id.split(/[-_]/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(" ");
+  const manifest = {
+    id, title, description: "", version: "1.0.0", compatibility: { ...DEFAULT_COMPATIBILITY }, authors: [],
+    esmodules: scripts ? [`scripts/${id}.mjs`] : [],
+    styles: [],
+    languages: (languages?.length ? languages : languages ? ["en"] : []).map(lang => {
+      return { lang, name: getLanguageName(lang), path: `lang/${lang}.json` };
+    }),
+    packs: packs.map(({ name, documentType }) => {
+      const pack = { name, label: name[0].toUpperCase() + name.slice(1), path: `packs/${name}`, type: documentType };
+      if ( type === "System" ) pack.system = id;
+      else if ( system && SYSTEM_PACK_TYPES.includes(documentType) ) pack.system = system;
+      return pack;
+    })
+  };
+  if ( (type === "Module") && system ) manifest.relationships = { systems: [{ id: system, type: "system" }] };
+  return manifest;
+}
+
 /* -------------------------------------------- */
 
 /**
- * Read serialized files from a directory and write them to a compendium pack.
+ * Determine the name of a language from its code, in that language.
+ * @param {string} lang  The language code.
+ * @returns {string}
+ */
+function getLanguageName(lang) {
+  try {
+    const name = new Intl.DisplayNames([lang], { type: "language" }).of(lang);
+    return name[0].toLocaleUpperCase(lang) + name.slice(1);
+  } catch {
+    return lang;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Manifests                                   */
+/* -------------------------------------------- */
+
+/**
+ * Add a compendium pack to the current package's manifest, or update its entry if it is already declared, and create
+ * an empty pack and source directory for it if they do not exist.
  * @param {CLIArgs} argv  The command line arguments
  * @returns {Promise<void>}
- * @private
  */
-async function handlePack(argv) {
-  const { source, pack } = determinePaths(argv, "pack");
-  if ( !source || !pack ) {
+async function handleAddPack(argv) {
+  const pkg = getCurrentPackage(argv);
+  if ( !pkg ) {
+    process.exitCode = 1;
+    return;
+  }
+  const name = argv.value;
+  if ( !name || !/^[a-zA-Z0-9_-]+$/.test(name) ) {
+    console.error(chalk.red("Provide a name for the pack containing only letters, numbers, hyphens, and underscores."));
+    process.exitCode = 1;
+    return;
+  }
+  const existing = pkg.packs?.find(pack => pack.name === name);
+  const documentType = argv.compendiumType ?? existing?.type ?? existing?.entity;
+  if ( !documentType ) {
+    console.error(chalk.red("Provide the type of document the pack stores with -t <type>."));
+    process.exitCode = 1;
+    return;
+  }
+  const ownership = parseOwnership(argv.ownership);
+  if ( !ownership ) {
     process.exitCode = 1;
     return;
   }
 
-  const { nedb, yaml, recursive } = argv;
-  if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
-    console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
-      + "Please close Foundry VTT and try again."));
+  let entry;
+  try {
+    updateManifest(pkg.path, manifest => {
+      manifest.packs ??= [];
+      entry = manifest.packs.find(pack => pack.name === name);
+      if ( !entry ) {
+        entry = { name, label: name[0].toUpperCase() + name.slice(1), path: `packs/${name}`, type: documentType };
+        manifest.packs.push(entry);
+      }
+      if ( argv.label ) entry.label = argv.label;
+      if ( argv.packPath ) entry.path = argv.packPath.split(path.sep).join("/");
+      if ( argv.compendiumType ) entry.type = documentType;
+      if ( SYSTEM_PACK_TYPES.includes(documentType) ) {
+        const system = pkg.type === "System" ? pkg.id : argv.system ?? entry.system
+          ?? manifest.relationships?.systems?.[0]?.id;
+        if ( system ) entry.system = system;
+        else {
+          console.warn(chalk.yellow(`Foundry VTT requires ${documentType} packs in modules to declare a system. `
+            + `Pass ${chalk.yellow("--system")} to set it.`));
+        }
+      }
+      if ( Object.keys(ownership).length ) entry.ownership = { ...entry.ownership, ...ownership };
+      if ( argv.folder !== undefined ) setPackFolder(manifest, name, argv.folder);
+    });
+  } catch ( err ) {
+    console.error(chalk.red(`Failed to update the manifest "${chalk.blue(pkg.path)}".`));
+    console.error(err);
     process.exitCode = 1;
     return;
   }
+  console.log(`${existing ? "Updated" : "Added"} compendium pack ${chalk.cyan(name)} in "${chalk.blue(pkg.path)}"`);
 
-  const dbMode = nedb ? "nedb" : "classic-level";
-  console.log(`[${dbMode}] Packing "${chalk.blue(source)}" into "${chalk.blue(pack)}"`);
+  // Create an empty pack and source directory.
+  const { source, pack } = determinePaths({ ...argv, ...getManifestPackArgs(pkg, entry), all: false }, "pack");
+  if ( !source ) {
+    process.exitCode = 1;
+    return;
+  }
+  fs.mkdirSync(source, { recursive: true });
+  const nedb = path.extname(pack) === ".db";
+  if ( fs.existsSync(nedb ? pack : path.join(pack, "CURRENT")) ) return;
+  try {
+    await compilePack(source, pack, { nedb });
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`Created "${chalk.blue(pack)}"`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove a compendium pack from the current package's manifest, and optionally delete its files.
+ * @param {CLIArgs} argv  The command line arguments
+ */
+function handleRemovePack(argv) {
+  const pkg = getCurrentPackage(argv);
+  if ( !pkg ) {
+    process.exitCode = 1;
+    return;
+  }
+  const name = argv.value;
+  const entry = pkg.packs?.find(pack => pack.name === name);
+  if ( !entry ) {
+    console.error(chalk.red(`${chalk.magenta(pkg.type)} ${chalk.cyan(currentPackageId)} does not declare a `
+      + `compendium pack named ${chalk.cyan(name)}.`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const { source, pack } = determinePaths({ ...argv, ...getManifestPackArgs(pkg, entry), all: false }, "pack");
+  if ( !source ) {
+    process.exitCode = 1;
+    return;
+  }
+  const nedb = path.extname(pack) === ".db";
+  if ( argv.clean ) {
+    if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
+      console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
+        + "Please close Foundry VTT and try again."));
+      process.exitCode = 1;
+      return;
+    }
+    if ( !backUp(argv, { action: "remove-pack", name: path.basename(pack, ".db"), pack, source }) ) {
+      process.exitCode = 1;
+      return;
+    }
+  }
 
   try {
-    await compilePack(source, pack, { nedb, yaml, recursive, log: true });
+    updateManifest(pkg.path, manifest => {
+      manifest.packs = manifest.packs.filter(pack => pack.name !== name);
+      setPackFolder(manifest, name, "");
+    });
   } catch ( err ) {
+    console.error(chalk.red(`Failed to update the manifest "${chalk.blue(pkg.path)}".`));
     console.error(err);
     process.exitCode = 1;
+    return;
+  }
+  console.log(`Removed compendium pack ${chalk.cyan(name)} from "${chalk.blue(pkg.path)}"`);
+
+  if ( !argv.clean ) {
+    console.log(`Its files were left in place. Pass ${chalk.yellow("--clean")} to delete them.`);
+    return;
+  }
+  fs.rmSync(pack, { recursive: true, force: true });
+  fs.rmSync(source, { recursive: true, force: true });
+  console.log(`Deleted "${chalk.blue(pack)}" and "${chalk.blue(source)}"`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Parse ownership levels given on the command line.
+ * @param {string[]} [specs]             The ownership levels, in the form <ROLE>=<LEVEL>.
+ * @returns {Record<string, string>|void}  The ownership levels by role, or nothing if any were invalid.
+ */
+function parseOwnership(specs=[]) {
+  const ownership = {};
+  for ( const spec of specs ) {
+    const [role, level] = spec.toUpperCase().split("=");
+    if ( !OWNERSHIP_ROLES.includes(role) || !OWNERSHIP_LEVELS.includes(level) ) {
+      console.error(chalk.red(`Invalid ownership "${spec}". Ownership takes the form <ROLE>=<LEVEL>, where the role `
+        + `is one of ${OWNERSHIP_ROLES.join(", ")}, and the level is one of ${OWNERSHIP_LEVELS.join(", ")}.`));
+      return;
+    }
+    ownership[role] = level;
+  }
+  return ownership;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Move a pack into a compendium folder in a manifest, creating the folder and its parents if necessary. Folders
+ * that are left empty by moving the pack out of them are removed.
+ * @param {object} manifest    The manifest.
+ * @param {string} name        The pack's name.
+ * @param {string} folderPath  The names of the folder and its parents, separated by /. If empty, the pack is only
+ *                             removed from the folder it is currently in.
+ */
+function setPackFolder(manifest, name, folderPath) {
+  const emptied = new Set();
+  for ( const folder of iteratePackFolders(manifest.packFolders) ) {
+    if ( !folder.packs?.includes(name) ) continue;
+    folder.packs = folder.packs.filter(pack => pack !== name);
+    emptied.add(folder);
+  }
+  if ( manifest.packFolders ) manifest.packFolders = prunePackFolders(manifest.packFolders, emptied);
+  if ( emptied.size && !manifest.packFolders.length ) delete manifest.packFolders;
+  const names = folderPath.split("/").map(name => name.trim()).filter(Boolean);
+  if ( !names.length ) return;
+  let folders = manifest.packFolders ??= [];
+  let folder;
+  for ( const folderName of names ) {
+    folder = folders.find(folder => folder.name === folderName);
+    if ( !folder ) {
+      folder = { name: folderName, sorting: "a", packs: [], folders: [] };
+      folders.push(folder);
+    }
+    folders = folder.folders ??= [];
   }
+  folder.packs ??= [];
+  folder.packs.push(name);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove compendium folders that were emptied, along with any parents that are left empty as a result.
+ * @param {object[]} folders     The folders.
+ * @param {Set<object>} emptied  The folders that had a pack removed from them.
+ * @returns {object[]}           The folders that remain.
+ */
+function prunePackFolders(folders, emptied) {
+  return folders.filter(folder => {
+    if ( folder.folders?.length ) {
+      const count = folder.folders.length;
+      folder.folders = prunePackFolders(folder.folders, emptied);
+      if ( folder.folders.length < count ) emptied.add(folder);
+    }
+    return !emptied.has(folder) || folder.packs?.length || folder.folders?.length;
+  });
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Iterate over a manifest's compendium folders, and their sub-folders.
+ * @param {object[]} [folders]  The folders.
+ * @returns {Generator<object>}
+ */
+function* iteratePackFolders(folders=[]) {
+  for ( const folder of folders ) {
+    yield folder;
+    yield* iteratePackFolders(folder.folders);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Modify a package's manifest. Only the top-level properties that change are rewritten, so that the rest of the
+ * manifest keeps its key order and formatting. Within an array that changes, such as packs, the elements that are
+ * unchanged keep their formatting too.
+ * @param {string} manifestPath              The path of the manifest.
+ * @param {function(object): void} fn        A function that modifies the manifest in place.
+ */
+function updateManifest(manifestPath, fn) {
+  let content = fs.readFileSync(manifestPath, "utf8");
+  const original = JSON.parse(content);
+  const manifest = structuredClone(original);
+  fn(manifest);
+
+  // Match the manifest's existing indentation and line endings.
+  const properties = scanJSONProperties(content);
+  const [first] = properties.values();
+  const lineStart = first ? content.lastIndexOf("\n", first.keyStart) + 1 : 0;
+  const pretty = !first || (lineStart > 0);
+  const indent = pretty ? (first ? content.slice(lineStart, first.keyStart) : "  ") : "";
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const stringify = (value, prefix) => {
+    if ( !pretty ) return JSON.stringify(value);
+    return JSON.stringify(value, null, indent).split("\n").join(eol + prefix);
+  };
+  const serialize = (key, value) => `${JSON.stringify(key)}:${pretty ? " " : ""}${stringify(value, indent)}`;
+
+  // Rewrite an array element by element, keeping the text of the elements that are unchanged.
+  const serializeArray = (key, value, { valueStart }) => {
+    const elements = scanJSONElements(content, valueStart);
+    const elementStart = content.lastIndexOf("\n", elements[0].start) + 1;
+    const elementIndent = content.slice(elementStart, elements[0].start);
+    const used = new Set();
+    const texts = value.map(element => {
+      const json = JSON.stringify(element);
+      const i = original[key].findIndex((other, j) => !used.has(j) && (JSON.stringify(other) === json));
+      if ( i < 0 ) return stringify(element, elementIndent);
+      used.add(i);
+      return content.slice(elements[i].start, elements[i].end);
+    });
+    const closingEnd = content.indexOf("]", elements.at(-1).end);
+    const closing = content.slice(content.lastIndexOf("\n", closingEnd) + 1, closingEnd);
+    return `${JSON.stringify(key)}: [${eol}${elementIndent}${texts.join(`,${eol}${elementIndent}`)}${eol}${closing}]`;
+  };
+
+  // Collect the edits and apply them from the end of the content, so that earlier offsets remain valid.
+  const edits = [];
+  const entries = Array.from(properties.entries());
+  entries.forEach(([key, span], i) => {
+    const { keyStart, valueStart, valueEnd } = span;
+    if ( !(key in manifest) ) {
+      if ( i > 0 ) edits.push({ start: entries[i - 1][1].valueEnd, end: valueEnd, text: "" });
+      else edits.push({ start: keyStart, end: entries[i + 1]?.[1].keyStart ?? valueEnd, text: "" });
+      return;
+    }
+    const value = manifest[key];
+    if ( JSON.stringify(value) === JSON.stringify(original[key]) ) return;
+    const multiline = Array.isArray(original[key]) && original[key].length && Array.isArray(value) && value.length
+      && content.slice(valueStart, valueEnd).includes("\n");
+    const text = multiline ? serializeArray(key, value, span) : serialize(key, value);
+    edits.push({ start: keyStart, end: valueEnd, text });
+  });
+  const added = Object.keys(manifest).filter(key => !properties.has(key));
+  if ( added.length ) {
+    const end = entries.at(-1)?.[1].valueEnd ?? content.indexOf("{") + 1;
+    const text = added.map(key => `${pretty ? eol + indent : ""}${serialize(key, manifest[key])}`).join(",");
+    edits.push({ start: end, end, text: `${entries.length ? "," : ""}${text}` });
+  }
+  edits.sort((a, b) => b.start - a.start);
+  for ( const { start, end, text } of edits ) content = content.slice(0, start) + text + content.slice(end);
+  fs.writeFileSync(manifestPath, content);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Locate the properties of the JSON object at the start of some content.
+ * @param {string} content  The JSON content.
+ * @returns {Map<string, {keyStart: number, valueStart: number, valueEnd: number}>}  The offsets of the start of each
+ *                                                     property's key, and the start and end of its value, by key.
+ */
+function scanJSONProperties(content) {
+  const properties = new Map();
+  let i = skipJSONWhitespace(content, content.indexOf("{") + 1);
+  while ( (i < content.length) && (content[i] !== "}") ) {
+    const keyStart = i;
+    i = scanJSONValue(content, i);
+    const key = JSON.parse(content.slice(keyStart, i));
+    const valueStart = skipJSONWhitespace(content, skipJSONWhitespace(content, i) + 1);
+    i = scanJSONValue(content, valueStart);
+    properties.set(key, { keyStart, valueStart, valueEnd: i });
+    i = skipJSONWhitespace(content, i);
+    if ( content[i] === "," ) i = skipJSONWhitespace(content, i + 1);
+  }
+  return properties;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Locate the elements of a JSON array.
+ * @param {string} content  The JSON content.
+ * @param {number} start    The offset of the array's opening bracket.
+ * @returns {Array<{start: number, end: number}>}  The offsets of the start and end of each element.
+ */
+function scanJSONElements(content, start) {
+  const elements = [];
+  let i = skipJSONWhitespace(content, start + 1);
+  while ( (i < content.length) && (content[i] !== "]") ) {
+    const end = scanJSONValue(content, i);
+    elements.push({ start: i, end });
+    i = skipJSONWhitespace(content, end);
+    if ( content[i] === "," ) i = skipJSONWhitespace(content, i + 1);
+  }
+  return elements;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the end of the JSON value that starts at an offset.
+ * @param {string} content  The JSON content.
+ * @param {number} i        The offset of the start of the value.
+ * @returns {number}        The offset of the end of the value.
+ */
+function scanJSONValue(content, i) {
+  let depth = 0;
+  for ( ; i < content.length; i++ ) {
+    const char = content[i];
+    if ( char === "\"" ) {
+      for ( i++; content[i] !== "\""; i++ ) {
+        if ( content[i] === "\\" ) i++;
+      }
+      if ( !depth ) return i + 1;
+    }
+    else if ( (char === "{") || (char === "[") ) depth++;
+    else if ( (char === "}") || (char === "]") ) {
+      if ( !depth ) return i;
+      if ( !--depth ) return i + 1;
+    }
+    else if ( !depth && /[\s,]/.test(char) ) return i;
+  }
+  return i;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the first offset at or after another that is not whitespace.
+ * @param {string} content  The JSON content.
+ * @param {number} i        The offset.
+ * @returns {number}
+ */
+function skipJSONWhitespace(content, i) {
+  while ( /\s/.test(content[i]) ) i++;
+  return i;
+}
+
+/* -------------------------------------------- */
+/*  Unpacking                                   */
+/* -------------------------------------------- */
+
+/**
+ * Load a compendium pack and serialize the DB entries, each to their own file
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ */
+async function handleUnpack(argv) {
+  if ( argv.all ) return handleAll(argv, unpackCompendium, "Unpacked");
+  if ( !await unpackCompendium(argv) ) process.exitCode = 1;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Unpack a single compendium pack.
+ * @param {CLIArgs} argv     The command line arguments
+ * @returns {Promise<boolean>}  Whether the operation succeeded.
+ */
+async function unpackCompendium(argv) {
+  const { source, pack } = determinePaths(argv, "unpack");
+  if ( !source || !pack ) return false;
+
+  let documentType;
+  const {
+    nedb, yaml, format, clean, folders, expandAdventures, expandEmbedded, expandContent, omitVolatile, canonical, dryRun
+  } = argv;
+  if ( nedb ) {
+    documentType = determineDocumentType(pack, argv);
+    if ( !documentType ) return false;
+  }
+
+  if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
+    console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
+      + "Please close Foundry VTT and try again."));
+    return false;
+  }
+
+  if ( clean && !dryRun && !backUp(argv, { action: "unpack", name: path.basename(pack, ".db"), source }) ) return false;
+
+  const dbMode = nedb ? "nedb" : "classic-level";
+  console.log(`[${dbMode}] Unpacking "${chalk.blue(pack)}" to "${chalk.blue(source)}"`);
+
+  const { finish, ...progress } = createProgressReporting(argv);
+  try {
+    finish(await extractPack(pack, source, {
+      nedb, yaml, format, documentType, clean, folders, expandAdventures, expandEmbedded, expandContent, omitVolatile,
+      canonical, dryRun, ...progress
+    }));
+  } catch ( err ) {
+    finish();
+    console.error(err);
+    return false;
+  }
+  return true;
+}
+
+/* -------------------------------------------- */
+/*  Packing                                     */
+/* -------------------------------------------- */
+
+/**
+ * Read serialized files from a directory and write them to a compendium pack.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handlePack(argv) {
+  if ( argv.all && argv.watch ) {
+    console.error(chalk.red("The --watch option cannot be combined with --all."));
+    process.exitCode = 1;
+    return;
+  }
+  if ( argv.all ) return handleAll(argv, packCompendium, "Packed");
+  if ( argv.watch ) return watchCompendium(argv);
+  if ( !await packCompendium(argv) ) process.exitCode = 1;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Pack a single compendium pack.
+ * @param {CLIArgs} argv        The command line arguments
+ * @returns {Promise<boolean>}  Whether the operation succeeded.
+ */
+async function packCompendium(argv) {
+  const { source, pack } = determinePaths(argv, "pack");
+  if ( !source || !pack ) return false;
+
+  const { nedb, yaml, format, recursive, dryRun, generateKeys, writeKeys, keepGoing } = argv;
+  let documentType = argv.compendiumType;
+  if ( nedb && generateKeys ) {
+    documentType = determineDocumentType(pack, argv);
+    if ( !documentType ) return false;
+  }
+
+  if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
+    console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
+      + "Please close Foundry VTT and try again."));
+    return false;
+  }
+
+  // Failures collected by keepGoing mode are already described in full by the error's message.
+  const logError = err => console.error(err instanceof AggregateError ? chalk.red(err.message) : err);
+  const options = { nedb, yaml, format, recursive, generateKeys, documentType, keepGoing };
+
+  // Only back up the pack once the source files are known to compile, and if packing them would change it.
+  if ( !dryRun && (argv.backup !== false) ) {
+    let plan;
+    try {
+      plan = await compilePack(source, pack, { ...options, dryRun: true });
+    } catch ( err ) {
+      logError(err);
+      return false;
+    }
+    const changed = plan.written.length || plan.removed.length;
+    if ( changed && !backUp(argv, { action: "pack", name: path.basename(pack, ".db"), pack }) ) return false;
+  }
+
+  const dbMode = nedb ? "nedb" : "classic-level";
+  console.log(`[${dbMode}] Packing "${chalk.blue(source)}" into "${chalk.blue(pack)}"`);
+
+  const { finish, ...progress } = createProgressReporting(argv);
+  try {
+    finish(await compilePack(source, pack, { ...options, dryRun, writeKeys, ...progress }));
+  } catch ( err ) {
+    finish();
+    logError(err);
+    return false;
+  }
+  return true;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Pack a single compendium pack, then watch its source files and re-pack it whenever they change.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ */
+async function watchCompendium(argv) {
+  const { source, pack } = determinePaths(argv, "pack");
+  if ( !source || !pack ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const { nedb, yaml, format, recursive } = argv;
+  let extensions;
+  try {
+    ({ extensions } = resolveFormat({ format, yaml }));
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  // Content files written by the expandContent option are inlined when packing, so changes to them are watched too.
+  extensions = [...extensions, ".html", ".md", ".js"];
+  let timeout = null;
+  let running = false;
+  let pending = false;
+  let backoff = WATCH_DEBOUNCE;
+  let backedUp = false;
+
+  const schedule = (delay=WATCH_DEBOUNCE) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(repack, delay);
+  };
+
+  const repack = async () => {
+    if ( running ) {
+      pending = true;
+      return;
+    }
+
+    // Back off while Foundry VTT holds the pack open.
+    if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
+      if ( backoff === WATCH_DEBOUNCE ) {
+        console.log(chalk.yellow(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
+          + "Waiting for it to be released..."));
+      }
+      backoff = Math.min(backoff * 2, WATCH_MAX_BACKOFF);
+      schedule(backoff);
+      return;
+    }
+    backoff = WATCH_DEBOUNCE;
+
+    // Only back up the pack before it is first re-packed, rather than on every change. If the backup fails, it is tried
+    // again on the next change.
+    running = true;
+    const name = path.basename(pack, ".db");
+    if ( !backedUp ) backedUp = !!argv.dryRun || backUp(argv, { action: "pack", name, pack });
+    if ( backedUp ) await packCompendium({ ...argv, backup: false });
+    else process.exitCode = 1;
+    running = false;
+    if ( pending ) {
+      pending = false;
+      schedule();
+    }
+    else console.log(`Watching "${chalk.blue(source)}" for changes. Press Ctrl+C to stop.`);
+  };
+
+  try {
+    watchDirectory(source, {
+      recursive,
+      onChange: filename => {
+        if ( filename && !extensions.includes(path.extname(filename)) ) return;
+        schedule();
+      },
+      onError: err => {
+        console.error(err);
+        process.exitCode = 1;
+      }
+    });
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+
+  await repack();
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Watch a directory for changes, and optionally all of its sub-directories. Each directory is watched on its own, as
+ * recursive watching is not supported on Linux before Node 20. Directories created while watching are watched too.
+ * @param {string} dir                                   The directory.
+ * @param {object} options
+ * @param {boolean} [options.recursive]                  Whether to watch sub-directories.
+ * @param {(filename?: string) => void} options.onChange  A function to call with the name of the file that changed,
+ *                                                       if it is known.
+ * @param {(err: Error) => void} options.onError         A function to call if watching fails.
+ */
+function watchDirectory(dir, { recursive=false, onChange, onError }) {
+  const watchers = new Map();
+  const watch = dir => {
+    if ( watchers.has(dir) ) return;
+    const watcher = fs.watch(dir);
+    watchers.set(dir, watcher);
+    watcher.on("change", (event, filename) => {
+      filename = filename?.toString();
+      if ( !fs.existsSync(dir) ) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+      else if ( recursive && filename ) {
+        const file = path.join(dir, filename);
+        if ( fs.statSync(file, { throwIfNoEntry: false })?.isDirectory() ) {
+          // The directory may already have been removed again, such as an editor's temporary directory.
+          try {
+            watchTree(file);
+          } catch ( err ) {
+            if ( err.code !== "ENOENT" ) onError(err);
+          }
+          return onChange();
+        }
+      }
+      onChange(filename);
+    });
+    watcher.on("error", onError);
+  };
+  const watchTree = dir => {
+    watch(dir);
+    if ( !recursive ) return;
+    for ( const entry of fs.readdirSync(dir, { withFileTypes: true }) ) {
+      if ( entry.isDirectory() ) watchTree(path.join(dir, entry.name));
+    }
+  };
+  watchTree(dir);
+}
+
+/* -------------------------------------------- */
+/*  Validating                                  */
+/* -------------------------------------------- */
+
+/**
+ * Validate a directory of serialized files without writing to any compendium pack.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ */
+async function handleValidate(argv) {
+  if ( argv.all ) return handleAll(argv, validateCompendium, "Validated");
+  if ( !await validateCompendium(argv) ) process.exitCode = 1;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Validate the source files of a single compendium pack.
+ * @param {CLIArgs} argv        The command line arguments
+ * @returns {Promise<boolean>}  Whether the source files are free of errors.
+ */
+async function validateCompendium(argv) {
+  const { source } = determinePaths(argv, "pack");
+  if ( !source ) return false;
+
+  const { yaml, format, recursive } = argv;
+  const documentType = argv.compendiumType ?? getManifestPackType(argv);
+  console.log(`Validating "${chalk.blue(source)}"`);
+
+  let problems;
+  try {
+    problems = await validateSource(source, { yaml, format, recursive, documentType });
+  } catch ( err ) {
+    console.error(err);
+    return false;
+  }
+
+  // Group problems by file.
+  const byFile = new Map();
+  for ( const problem of problems ) {
+    if ( !byFile.has(problem.file) ) byFile.set(problem.file, []);
+    byFile.get(problem.file).push(problem);
+  }
+  for ( const [file, fileProblems] of byFile.entries() ) {
+    console.log(chalk.underline(path.relative(source, file)));
+    for ( const { severity, message } of fileProblems ) {
+      const label = severity === "error" ? chalk.red("error  ") : chalk.yellow("warning");
+      console.log(`  ${label} ${message}`);
+    }
+  }
+
+  const errors = problems.filter(p => p.severity === "error").length;
+  const warnings = problems.length - errors;
+  if ( !problems.length ) console.log(chalk.green("No problems found."));
+  else {
+    console.log(`Found ${chalk.red(`${errors} error${errors === 1 ? "" : "s"}`)} and `
+      + `${chalk.yellow(`${warnings} warning${warnings === 1 ? "" : "s"}`)} in ${byFile.size} files.`);
+  }
+  return !errors;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the document type of one of the current package's compendium packs from its manifest, if it is declared.
+ * @param {CLIArgs} argv   The command line arguments.
+ * @returns {string|void}
+ */
+function getManifestPackType(argv) {
+  if ( !currentPackageId || !currentPackageType || !Config.instance.get("dataPath") ) return;
+  const game = discoverPackageDirectory(argv);
+  const pkg = game?.[`${currentPackageType.toLowerCase()}s`]?.get(currentPackageId);
+  const name = argv.compendiumName ?? argv.value;
+  for ( const pack of pkg?.packs ?? [] ) {
+    const { compendiumName, compendiumType } = getManifestPackArgs(pkg, pack);
+    if ( (compendiumName === name) || (pack.name === name) ) return compendiumType;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Diffing                                     */
+/* -------------------------------------------- */
+
+/**
+ * Compare a directory of serialized files against the compendium pack they would be written to.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ */
+async function handleDiff(argv) {
+  const { source, pack } = determinePaths(argv, "pack");
+  if ( !source || !pack ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  let documentType;
+  const { nedb, yaml, format, recursive, omitVolatile, json } = argv;
+  if ( nedb ) {
+    documentType = determineDocumentType(pack, argv);
+    if ( !documentType ) {
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
+    console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
+      + "Please close Foundry VTT and try again."));
+    process.exitCode = 1;
+    return;
+  }
+
+  let diff;
+  try {
+    diff = await diffPack(source, pack, { nedb, yaml, format, recursive, omitVolatile, documentType });
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+
+  if ( json ) {
+    console.log(JSON.stringify(diff, null, 2));
+    return;
+  }
+
+  const dbMode = nedb ? "nedb" : "classic-level";
+  console.log(`[${dbMode}] Comparing "${chalk.blue(source)}" against "${chalk.blue(pack)}"`);
+  const describe = ({ key, name }) => `${key}${name ? ` (${name})` : ""}`;
+  for ( const entry of diff.added ) console.log(chalk.green(`+ ${describe(entry)}`));
+  for ( const entry of diff.removed ) console.log(chalk.red(`- ${describe(entry)}`));
+  for ( const entry of diff.modified ) {
+    console.log(chalk.yellow(`~ ${describe(entry)}`));
+    for ( const { path: fieldPath, type, from, to } of entry.changes ) {
+      switch ( type ) {
+        case "added": console.log(`    ${fieldPath}: ${chalk.green(formatValue(to))} (added)`); break;
+        case "removed": console.log(`    ${fieldPath}: ${chalk.red(formatValue(from))} (removed)`); break;
+        default: console.log(`    ${fieldPath}: ${chalk.red(formatValue(from))} -> ${chalk.green(formatValue(to))}`);
+      }
+    }
+  }
+  const { added, removed, modified, unchanged } = diff;
+  console.log(`${added.length} added, ${removed.length} removed, ${modified.length} modified, ${unchanged} unchanged.`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Format a value for display in a single line of output.
+ * @param {any} value             The value.
+ * @param {number} [maxLength=60]  The maximum length of the output.
+ * @returns {string}
+ */
+function formatValue(value, maxLength=60) {
+  const formatted = JSON.stringify(value) ?? String(value);
+  if ( formatted.length <= maxLength ) return formatted;
+  return `${formatted.slice(0, maxLength - 3)}...`;
+}
+
+/* -------------------------------------------- */
+/*  Converting                                  */
+/* -------------------------------------------- */
+
+/**
+ * Convert a compendium pack from NeDB to LevelDB, or vice-versa.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ */
+async function handleConvert(argv) {
+  const { pack: src } = determinePaths(argv, "unpack");
+  if ( !src ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  // The converted pack is written alongside the original unless an output directory is provided.
+  const { nedb, dryRun } = argv;
+  const name = path.basename(src, ".db");
+  const dest = path.resolve(argv.outputDirectory ?? path.dirname(src), nedb ? name : `${name}.db`);
+  const documentType = nedb ? determineDocumentType(src, argv) : argv.compendiumType;
+  if ( nedb && !documentType ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const level = nedb ? dest : src;
+  if ( isFileLocked(path.join(level, "LOCK")) ) {
+    console.error(chalk.red(`The pack "${chalk.blue(level)}" is currently in use by Foundry VTT. `
+      + "Please close Foundry VTT and try again."));
+    process.exitCode = 1;
+    return;
+  }
+
+  const [from, to] = nedb ? ["nedb", "classic-level"] : ["classic-level", "nedb"];
+  console.log(`[${from} -> ${to}] Converting "${chalk.blue(src)}" into "${chalk.blue(dest)}"`);
+
+  const { finish, ...progress } = createProgressReporting(argv);
+  try {
+    const result = await convertPack(src, dest, { documentType, dryRun, ...progress });
+    finish(result);
+
+    // NeDB packs cannot store folders, so warn that they were dropped.
+    const folders = result.skipped.filter(({ key, reason }) => {
+      return (reason === "unsupported") && key.startsWith("!folders!");
+    });
+    if ( folders.length ) {
+      const verb = dryRun ? "would be" : "were";
+      console.warn(chalk.yellow(`NeDB packs cannot store folders, so these ${verb} dropped, and the documents in them `
+        + `${verb} moved to the root of the pack:`));
+      for ( const { key } of folders ) console.warn(`  ${chalk.blue(key)}`);
+    }
+  } catch ( err ) {
+    finish();
+    console.error(err);
+    process.exitCode = 1;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Documents                                   */
+/* -------------------------------------------- */
+
+/**
+ * Output a single Document from a compendium pack, serialized in the chosen format.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleGet(argv) {
+  const { pack, nedb } = determineDocumentPack(argv) ?? {};
+  if ( !pack ) return;
+  try {
+    const format = resolveFormat(argv);
+    const doc = await readDocument(pack, argv.value, { nedb });
+    if ( !doc ) {
+      console.error(chalk.red(`The pack "${chalk.blue(pack)}" does not contain ${chalk.cyan(argv.value)}.`));
+      process.exitCode = 1;
+      return;
+    }
+    process.stdout.write(format.stringify(doc));
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Write a single Document from a source file to a compendium pack, replacing any existing Document with the same ID.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handlePut(argv) {
+  const { pack, nedb, documentType } = determineDocumentPack(argv, { documentType: true }) ?? {};
+  if ( !pack ) return;
+  try {
+    const file = path.resolve(argv.value);
+    const format = getFileFormat(file, resolveFormat(argv)) ?? resolveFormat(argv);
+    const doc = format.parse(fs.readFileSync(file, "utf8"));
+
+    // Check that the Document can be written before backing up the pack.
+    await writeDocument(pack, doc, { nedb, documentType, dryRun: true });
+    if ( !backUp(argv, { action: "put", name: path.basename(pack, ".db"), pack }) ) {
+      process.exitCode = 1;
+      return;
+    }
+    const key = await writeDocument(pack, doc, { nedb, documentType });
+    console.log(`Wrote ${chalk.blue(key)} to "${chalk.blue(pack)}"`);
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Delete a single Document from a compendium pack.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleDelete(argv) {
+  const { pack, nedb } = determineDocumentPack(argv) ?? {};
+  if ( !pack ) return;
+  try {
+    // Only back up the pack if it contains the Document.
+    if ( !await deleteDocument(pack, argv.value, { nedb, dryRun: true }) ) {
+      console.error(chalk.red(`The pack "${chalk.blue(pack)}" does not contain ${chalk.cyan(argv.value)}.`));
+      process.exitCode = 1;
+      return;
+    }
+    if ( !backUp(argv, { action: "delete", name: path.basename(pack, ".db"), pack }) ) {
+      process.exitCode = 1;
+      return;
+    }
+    await deleteDocument(pack, argv.value, { nedb });
+    console.log(`Deleted ${chalk.blue(argv.value)} from "${chalk.blue(pack)}"`);
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * List the primary Documents in a compendium pack.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleList(argv) {
+  // The compendium name may be given as the action's value, since list does not take any other.
+  const { pack, nedb, documentType } = determineDocumentPack(argv, { documentType: true, useValue: true }) ?? {};
+  if ( !pack ) return;
+  let docs;
+  try {
+    docs = await listDocuments(pack, { nedb, documentType });
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  if ( argv.json ) {
+    console.log(JSON.stringify(docs, null, 2));
+    return;
+  }
+  for ( const { key, name } of docs ) console.log(`${chalk.blue(key)} ${name ?? ""}`);
+  console.log(`${docs.length} document${docs.length === 1 ? "" : "s"}.`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the documents in a compendium pack, or its source files, that match a set of expressions, and output them as a
+ * table or as JSON.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleQuery(argv) {
+  const { nedb, yaml, format, recursive, source, fields=[], json } = argv;
+
+  // Expressions may also be given positionally, after the compendium name.
+  const where = [...(argv.where ?? []), ...argv._.slice(1).map(String)];
+  if ( argv.compendiumName && argv.value ) where.unshift(argv.value);
+  let pack;
+  let documentType;
+  if ( source ) {
+    ({ source: pack } = determinePaths(argv, "pack"));
+    if ( !pack ) {
+      process.exitCode = 1;
+      return;
+    }
+  }
+  else {
+    ({ pack, documentType } = determineDocumentPack(argv, { documentType: true, useValue: true }) ?? {});
+    if ( !pack ) return;
+  }
+
+  let matches;
+  try {
+    matches = await queryPack(pack, { nedb, yaml, format, recursive, documentType, source, where, fields });
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  if ( json ) {
+    console.log(JSON.stringify(matches, null, 2));
+    return;
+  }
+
+  // Output the matches as a table, with a column for each requested field.
+  const header = ["Key", "Name", ...fields];
+  const rows = matches.map(({ key, name, fields: values }) => {
+    return [key, name ?? "", ...fields.map(field => formatValue(values[field]))];
+  });
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+  if ( rows.length ) {
+    console.log(chalk.bold(formatRow(header)));
+    for ( const row of rows ) console.log(formatRow(row));
+  }
+  console.log(`${matches.length} matching document${matches.length === 1 ? "" : "s"}.`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the compendium pack that a Document-level action operates on, and check that it is not in use.
+ * @param {CLIArgs} argv                       The command line arguments.
+ * @param {object} [options]
+ * @param {boolean} [options.documentType]     Whether the pack's document type is needed for NeDB packs.
+ * @param {boolean} [options.useValue]         Whether the compendium name may be given as the action's value.
+ * @returns {{pack: string, nedb: boolean, documentType?: string}|void}
+ */
+function determineDocumentPack(argv, { documentType: needsType=false, useValue=false }={}) {
+  const { pack } = determinePaths(useValue ? argv : { ...argv, value: undefined }, "unpack");
+  if ( !pack ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const { nedb } = argv;
+  let documentType = argv.compendiumType;
+  if ( nedb && needsType ) {
+    documentType = determineDocumentType(pack, argv);
+    if ( !documentType ) {
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if ( !nedb && isFileLocked(path.join(pack, "LOCK")) ) {
+    console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
+      + "Please close Foundry VTT and try again."));
+    process.exitCode = 1;
+    return;
+  }
+  return { pack, nedb, documentType };
+}
+
+/* -------------------------------------------- */
+/*  Inspecting                                  */
+/* -------------------------------------------- */
+
+/**
+ * Output a summary of a compendium pack's contents.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleInspect(argv) {
+  const { pack, nedb, documentType } = determineDocumentPack(argv, { documentType: true, useValue: true }) ?? {};
+  if ( !pack ) return;
+
+  let inspection;
+  try {
+    inspection = await inspectPack(pack, { nedb, documentType });
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  if ( argv.json ) {
+    console.log(JSON.stringify(inspection, null, 2));
+    return;
+  }
+
+  const { size, documents, collections, types, folders, largest, coreVersions, systemVersions } = inspection;
+  const dbMode = nedb ? "nedb" : "classic-level";
+  const tally = counts => Object.entries(counts).map(([value, count]) => `${value} (${count})`).join(", ") || "None";
+  console.log(`[${dbMode}] Inspecting "${chalk.blue(pack)}"`);
+  console.log(`Size on disk: ${formatSize(size)}`);
+
+  console.log(chalk.bold(`\nDocuments (${documents} primary)`));
+  const width = Math.max(0, ...Object.keys(collections).map(c => c.length));
+  for ( const [collection, count] of Object.entries(collections) ) {
+    console.log(`  ${collection.padEnd(width)}  ${count}`);
+  }
+
+  console.log(chalk.bold("\nTypes"));
+  for ( const [collection, counts] of Object.entries(types) ) console.log(`  ${collection}: ${tally(counts)}`);
+
+  console.log(chalk.bold("\nFolders"));
+  const logFolders = (nodes, depth) => {
+    for ( const { name, documents, children } of nodes ) {
+      console.log(`${"  ".repeat(depth)}${chalk.cyan(name)} (${documents})`);
+      logFolders(children, depth + 1);
+    }
+  };
+  if ( folders.length ) logFolders(folders, 1);
+  else console.log("  None");
+
+  console.log(chalk.bold("\nLargest documents"));
+  for ( const { key, name, size } of largest ) {
+    console.log(`  ${chalk.blue(key)}${name ? ` (${name})` : ""} ${formatSize(size)}`);
+  }
+
+  console.log(chalk.bold("\nVersions"));
+  console.log(`  Core: ${tally(coreVersions)}`);
+  console.log(`  System: ${tally(systemVersions)}`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Format a size in bytes for display.
+ * @param {number} bytes  The size.
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if ( bytes < 1024 ) return `${bytes} B`;
+  if ( bytes < (1024 * 1024) ) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/* -------------------------------------------- */
+/*  Links                                       */
+/* -------------------------------------------- */
+
+/**
+ * Descriptions of why a link could not be resolved.
+ * @type {Record<string, string>}
+ */
+const LINK_REASONS = {
+  pack: "the pack does not exist",
+  document: "the document does not exist"
+};
+
+/**
+ * Check the compendium links in every pack of the current package, and report those that cannot be resolved.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleCheckLinks(argv) {
+  const pkg = getCurrentPackage(argv);
+  if ( !pkg ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  // Collect the current package's packs, and those of its dependencies if requested.
+  const packs = determinePackagePacks(pkg, argv);
+  if ( !packs ) return;
+  if ( argv.dependencies ) {
+    const game = discoverPackageDirectory(argv);
+    for ( const dependency of getPackageDependencies(pkg, game) ) {
+      const dependencyId = dependency.id ?? dependency.name;
+      for ( const pack of dependency.packs ?? [] ) {
+        const { compendiumType: documentType } = getManifestPackArgs(dependency, pack);
+        const packPath = path.resolve(path.dirname(dependency.path), pack.path ?? path.join("packs", pack.name));
+        const nedb = path.extname(packPath) === ".db";
+        if ( !fs.existsSync(nedb ? packPath : path.join(packPath, "CURRENT")) ) {
+          console.warn(chalk.yellow(`The pack "${chalk.blue(packPath)}" of ${chalk.cyan(dependencyId)} does not `
+            + "exist, links to it cannot be resolved."));
+          continue;
+        }
+        if ( !nedb && isFileLocked(path.join(packPath, "LOCK")) ) {
+          console.error(chalk.red(`The pack "${chalk.blue(packPath)}" is currently in use by Foundry VTT. `
+            + "Please close Foundry VTT and try again."));
+          process.exitCode = 1;
+          return;
+        }
+        packs.push({ id: `${dependencyId}.${pack.name}`, path: packPath, nedb, documentType, check: false });
+      }
+    }
+  }
+
+  let result;
+  const { yaml, format, recursive, json } = argv;
+  try {
+    result = await checkLinks(packs, { yaml, format, recursive });
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  if ( result.dangling.length ) process.exitCode = 1;
+  if ( json ) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  logDocumentReferences(result.dangling, ({ uuid, reason }) => `${chalk.red(uuid)} (${LINK_REASONS[reason]})`);
+
+  const { links, dangling, unresolved } = result;
+  if ( !dangling.length ) console.log(chalk.green(`All ${links} compendium links resolved.`));
+  else console.log(`Found ${chalk.red(`${dangling.length} dangling link${dangling.length === 1 ? "" : "s"}`)} `
+    + `out of ${links}.`);
+  if ( unresolved.length ) {
+    const packages = new Set(unresolved.map(({ uuid }) => uuid.split(".")[1]));
+    console.log(chalk.yellow(`${unresolved.length} link${unresolved.length === 1 ? "" : "s"} into other packages `
+      + `could not be checked: ${Array.from(packages).join(", ")}.`)
+      + (argv.dependencies ? "" : ` Pass ${chalk.yellow("--dependencies")} to include declared dependencies.`));
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Output a list of references found in documents, grouped by the document that contains them.
+ * @param {Array<{pack: string, key: string, name?: string, file?: string, field: string}>} references
+ *   The references.
+ * @param {function(object): string} describe  A function that describes what a reference refers to.
+ */
+function logDocumentReferences(references, describe) {
+  const byDocument = new Map();
+  for ( const reference of references ) {
+    const id = `${reference.pack} ${reference.key}`;
+    if ( !byDocument.has(id) ) byDocument.set(id, []);
+    byDocument.get(id).push(reference);
+  }
+  for ( const documentReferences of byDocument.values() ) {
+    const { pack, key, name, file } = documentReferences[0];
+    const location = file ? path.relative(process.cwd(), file) : key;
+    console.log(`${chalk.cyan(pack)} ${chalk.underline(location)}${name ? ` (${name})` : ""}`);
+    for ( const reference of documentReferences ) console.log(`  ${reference.field}: ${describe(reference)}`);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the location of every compendium pack declared in a package's manifest, and check that none of them are
+ * in use. Packs that have not been built are skipped with a warning, unless their source files are to be read.
+ * @param {object} pkg           The package's manifest data.
+ * @param {CLIArgs} argv         The command line arguments.
+ * @returns {Array<LinkPack & {compendiumName: string}>|void}  The packs, or nothing if they could not be determined.
+ */
+function determinePackagePacks(pkg, argv) {
+  const packs = [];
+  for ( const pack of pkg.packs ?? [] ) {
+    const packArgs = { ...argv, ...getManifestPackArgs(pkg, pack), all: true };
+    const { source, pack: packPath } = determinePaths(packArgs, "pack");
+    if ( !source ) {
+      process.exitCode = 1;
+      return;
+    }
+    if ( !argv.source && !fs.existsSync(packArgs.nedb ? packPath : path.join(packPath, "CURRENT")) ) {
+      console.warn(chalk.yellow(`The pack "${chalk.blue(packPath)}" has not been built, skipping it. Run `
+        + `${chalk.cyan(`fvtt package pack ${pack.name}`)} to build it.`));
+      continue;
+    }
+    if ( !argv.source && !packArgs.nedb && isFileLocked(path.join(packPath, "LOCK")) ) {
+      console.error(chalk.red(`The pack "${chalk.blue(packPath)}" is currently in use by Foundry VTT. `
+        + "Please close Foundry VTT and try again."));
+      process.exitCode = 1;
+      return;
+    }
+    packs.push({
+      id: `${currentPackageId}.${pack.name}`, path: argv.source ? source : packPath, nedb: packArgs.nedb,
+      source: argv.source, sourcePath: argv.source ? undefined : source, documentType: packArgs.compendiumType,
+      compendiumName: packArgs.compendiumName
+    });
+  }
+  return packs;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the installed packages that a package declares as dependencies. This includes required packages, the
+ * systems a module supports, and a world's system.
+ * @param {object} pkg                 The package's manifest data.
+ * @param {DiscoveredPackages} game    The packages in the data path.
+ * @returns {object[]}                 The manifest data of each dependency that is installed.
+ */
+function getPackageDependencies(pkg, game) {
+  const { requires=[], systems=[] } = pkg.relationships ?? {};
+  const declared = [...requires, ...systems.map(system => ({ type: "system", ...system }))];
+  if ( typeof pkg.system === "string" ) declared.push({ id: pkg.system, type: "system" });
+  for ( const dependency of pkg.dependencies ?? [] ) declared.push({ id: dependency.name, type: dependency.type });
+
+  const dependencies = new Map();
+  for ( const { id, type="module" } of declared ) {
+    const dependency = game[`${type.toLowerCase()}s`]?.get(id);
+    if ( dependency ) dependencies.set(dependency.path, dependency);
+    else {
+      console.warn(chalk.yellow(`The dependency ${chalk.cyan(id)} of ${chalk.cyan(pkg.id ?? pkg.name)} is not `
+        + "installed."));
+    }
+  }
+  return Array.from(dependencies.values());
+}
+
+/* -------------------------------------------- */
+/*  Renaming                                    */
+/* -------------------------------------------- */
+
+/**
+ * Change the ID of a document in a compendium pack, and rewrite the references to it throughout the current package.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleRekey(argv) {
+  const { pkg, packs, target } = determineRenameTarget(argv) ?? {};
+  if ( !target ) return;
+  if ( !argv.value ) {
+    console.error(chalk.red("No document provided. Supply the key or ID of the document to rekey."));
+    process.exitCode = 1;
+    return;
+  }
+
+  let key = argv.value;
+  try {
+    // Accept the Document's ID in place of its key.
+    if ( !key.startsWith("!") ) {
+      const docs = await listDocuments(target.path, { nedb: target.nedb, documentType: target.documentType });
+      key = docs.find(doc => doc.id === argv.value)?.key;
+      if ( !key ) {
+        console.error(chalk.red(`The pack "${chalk.blue(target.path)}" does not contain ${chalk.cyan(argv.value)}.`));
+        process.exitCode = 1;
+        return;
+      }
+    }
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+
+  let id = argv.to;
+  const result = await rewritePackage(argv, packs, target, async dryRun => {
+    const result = await rekeyDocument(packs, target.id, key, { id, dryRun });
+    id = result.id;
+    return result;
+  });
+  if ( !result ) return;
+  const verb = argv.dryRun ? "Would rekey" : "Rekeyed";
+  console.log(`${verb} ${chalk.blue(key)} to ${chalk.blue(result.key)} in ${chalk.magenta(pkg.type)} `
+    + `${chalk.cyan(currentPackageId)}.`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Rename a compendium pack, rewrite the references to its documents throughout the current package, and update its
+ * entry in the package's manifest.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleRenamePack(argv) {
+  const { pkg, packs, target } = determineRenameTarget(argv) ?? {};
+  if ( !target ) return;
+  const name = argv.value;
+  if ( !name ) {
+    console.error(chalk.red("No name provided. Supply the pack's new name."));
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await rewritePackage(argv, packs, target, dryRun => renamePack(packs, target.id, name, { dryRun }));
+  if ( !result ) return;
+  if ( argv.dryRun ) {
+    console.log(`Would rename ${chalk.cyan(target.id)} to ${chalk.cyan(result.id)}.`);
+    return;
+  }
+  try {
+    renameManifestPack(pkg, target.id.slice(currentPackageId.length + 1), name);
+  } catch ( err ) {
+    console.error(chalk.red(`Renamed the pack to "${chalk.blue(result.path)}", but failed to update the manifest.`));
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`Renamed ${chalk.cyan(target.id)} to ${chalk.cyan(result.id)}, and moved it to `
+    + `"${chalk.blue(result.path)}".`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the packs of the current package, and the pack being renamed or that contains the document being rekeyed.
+ * @param {CLIArgs} argv  The command line arguments.
+ * @returns {{pkg: object, packs: LinkPack[], target: LinkPack}|void}
+ */
+function determineRenameTarget(argv) {
+  const pkg = getCurrentPackage(argv);
+  const packs = pkg ? determinePackagePacks(pkg, { ...argv, source: false }) : undefined;
+  if ( !packs ) {
+    process.exitCode = 1;
+    return;
+  }
+  if ( !argv.compendiumName ) {
+    console.error("No compendium name provided. Use `-n <name>` to supply it.");
+    process.exitCode = 1;
+    return;
+  }
+  const target = packs.find(pack => pack.compendiumName === argv.compendiumName);
+  if ( !target && pkg.packs?.some(pack => pack.name === argv.compendiumName) ) {
+    console.error(chalk.red(`The compendium pack ${chalk.cyan(argv.compendiumName)} has not been built.`));
+    process.exitCode = 1;
+    return;
+  }
+  if ( !target ) {
+    console.error(chalk.red(`${chalk.magenta(pkg.type)} ${chalk.cyan(currentPackageId)} does not declare a `
+      + `compendium pack named ${chalk.cyan(argv.compendiumName)}.`));
+    process.exitCode = 1;
+    return;
+  }
+  return { pkg, packs, target };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Perform an operation that rewrites documents across the packs of the current package, and their source files. The
+ * operation is first performed as a dry run to determine which packs and source directories it affects, so that they
+ * can be backed up before it is performed.
+ * @param {CLIArgs} argv                                       The command line arguments.
+ * @param {LinkPack[]} packs                                   The packs of the current package.
+ * @param {LinkPack} [target]                                  The pack being renamed or rekeyed in, which is backed
+ *                                                             up even if none of its documents are rewritten.
+ * @param {function(boolean): Promise<object>} operation       The operation, given whether it is a dry run.
+ * @returns {Promise<object|void>}                             The result of the operation, if it succeeded.
+ */
+async function rewritePackage(argv, packs, target, operation) {
+  let result;
+  try {
+    result = await operation(true);
+    if ( !argv.dryRun ) {
+      const affected = new Set([target?.id, ...result.updated.map(({ pack }) => pack)]);
+      const sources = new Set(result.sources?.map(({ pack }) => pack));
+      for ( const pack of packs.filter(({ id }) => affected.has(id) || sources.has(id)) ) {
+        const name = path.basename(pack.path, ".db");
+        const packPath = affected.has(pack.id) ? pack.path : undefined;
+        const source = sources.has(pack.id) ? pack.sourcePath : undefined;
+        if ( !backUp(argv, { action: argv.action, name, pack: packPath, source }) ) {
+          process.exitCode = 1;
+          return;
+        }
+      }
+      result = await operation(false);
+    }
+  } catch ( err ) {
+    console.error(err);
+    process.exitCode = 1;
+    return;
+  }
+  const verb = argv.dryRun ? "Would update" : "Updated";
+  for ( const { pack, key, name } of result.updated ) {
+    console.log(`${verb} ${chalk.cyan(pack)} ${key}${name ? ` (${name})` : ""}`);
+  }
+  for ( const { pack, file } of result.sources ?? [] ) console.log(`${verb} ${chalk.cyan(pack)} "${chalk.blue(file)}"`);
+  return result;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Rename a pack's entry in a package's manifest, and in the compendium folders it is grouped in.
+ * @param {object} pkg      The package's manifest data.
+ * @param {string} oldName  The pack's current name.
+ * @param {string} name     The pack's new name.
+ */
+function renameManifestPack(pkg, oldName, name) {
+  updateManifest(pkg.path, manifest => {
+    const pack = manifest.packs.find(pack => pack.name === oldName);
+    pack.name = name;
+    if ( pack.path ) {
+      const nedb = path.extname(pack.path) === ".db";
+      pack.path = pack.path.replace(/[^/\\]+(?=[/\\]?$)/, nedb ? `${name}.db` : name);
+    }
+    for ( const folder of iteratePackFolders(manifest.packFolders) ) {
+      if ( Array.isArray(folder.packs) ) folder.packs = folder.packs.map(pack => pack === oldName ? name : pack);
+    }
+  });
+}
+
+/* -------------------------------------------- */
+/*  Assets                                      */
+/* -------------------------------------------- */
+
+/**
+ * Report the asset files referred to by the current package's documents that are missing or outside the package, and
+ * optionally bundle those outside it into the package.
+ * @param {CLIArgs} argv  The command line arguments
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleAuditAssets(argv) {
+  const pkg = getCurrentPackage(argv);
+  const packs = pkg ? determinePackagePacks(pkg, argv) : undefined;
+  if ( !packs ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const dataPath = Config.instance.get("dataPath");
+  const packagePath = path.relative(path.join(dataPath, "Data"), path.dirname(pkg.path)).split(path.sep).join("/");
+  const { yaml, format, recursive, bundle, assetDirectory, json } = argv;
+  const options = { dataPath, packagePath, corePath: determineCorePath(), yaml, format, recursive, assetDirectory };
+  let result;
+  if ( bundle ) {
+    result = await rewritePackage(argv, packs, null, dryRun => auditAssets(packs, { ...options, bundle, dryRun }));
+  }
+  else {
+    try {
+      result = await auditAssets(packs, options);
+    } catch ( err ) {
+      console.error(err);
+    }
+  }
+  if ( !result ) {
+    process.exitCode = 1;
+    return;
+  }
+  if ( result.missing.length || result.invalid.length || (result.external.length && !bundle) ) process.exitCode = 1;
+  if ( json ) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  if ( result.missing.length ) {
+    console.log(chalk.bold("Missing assets"));
+    logDocumentReferences(result.missing, ({ path: asset }) => chalk.red(asset));
+  }
+  if ( result.external.length ) {
+    console.log(chalk.bold("Assets outside the package"));
+    logDocumentReferences(result.external, ({ path: asset }) => chalk.yellow(asset));
+  }
+  if ( result.invalid.length ) {
+    console.log(chalk.bold("Asset paths outside the Data directory"));
+    logDocumentReferences(result.invalid, ({ path: asset }) => chalk.red(asset));
+  }
+  for ( const { from, to } of result.bundled ) {
+    console.log(`${argv.dryRun ? "Would copy" : "Copied"} "${chalk.blue(from)}" to "${chalk.blue(to)}"`);
+  }
+
+  const { assets, missing, external, invalid } = result;
+  const unresolved = missing.length + external.length + invalid.length;
+  if ( !unresolved ) console.log(chalk.green(`All ${assets} asset references resolved.`));
+  else {
+    console.log(`Found ${chalk.red(`${missing.length} missing`)}, ${chalk.yellow(`${external.length} external`)}, and `
+      + `${chalk.red(`${invalid.length} invalid`)} asset reference${unresolved === 1 ? "" : "s"} out of ${assets}.`);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the location of Foundry VTT's public directory, that core assets are served from.
+ * @returns {string|void}
+ */
+function determineCorePath() {
+  const installPath = Config.instance.get("installPath");
+  if ( !installPath ) return;
+  const candidates = [path.join(installPath, "resources", "app", "public"), path.join(installPath, "public")];
+  return candidates.find(candidate => fs.existsSync(candidate));
+}
+
+/* -------------------------------------------- */
+/*  Backups                                     */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} BackupMetadata
+ * @property {string} timestamp            When the backup was taken, as an ISO 8601 string safe for use in paths.
+ * @property {"pack"|"unpack"|"restore"|"rekey"|"rename-pack"|"audit-assets"|"remove-pack"} action  The action the
+ *                                                                      backup was taken before.
+ * @property {string} name                 The name of the compendium pack.
+ * @property {string} [pack]               The path of the pack, if it was backed up.
+ * @property {string} [source]             The path of the source directory, if it was backed up.
+ * @property {string} [path]               The path of the backup itself. Not stored in the metadata file.
+ */
+
+/**
+ * Restore a compendium pack or source directory from a backup, or list the available backups if no timestamp is given.
+ * @param {CLIArgs} argv  The command line arguments
+ * @private
+ */
+function handleRestore(argv) {
+  if ( !currentPackageId ) {
+    console.error(chalk.red("No package ID is currently set. Use `package workon <id>` to set it."));
+    process.exitCode = 1;
+    return;
+  }
+
+  const backups = listBackups(argv.compendiumName);
+  if ( !argv.value ) {
+    if ( !backups.length ) {
+      console.log(`No backups found for ${chalk.magenta(currentPackageType)} ${chalk.cyan(currentPackageId)}.`);
+      return;
+    }
+    console.log(`Backups of ${chalk.magenta(currentPackageType)} ${chalk.cyan(currentPackageId)}:`);
+    for ( const { timestamp, name, action, pack, source } of backups ) {
+      const contents = [pack ? "pack" : null, source ? "source" : null].filter(_ => _).join(", ");
+      console.log(`  ${chalk.cyan(timestamp)} ${chalk.blue(name)} before ${action} (${contents})`);
+    }
+    console.log("Use `package restore <timestamp>` to restore one.");
+    return;
+  }
+
+  const matches = backups.filter(backup => backup.timestamp === argv.value);
+  if ( !matches.length ) {
+    console.error(chalk.red(`No backup was taken at ${chalk.cyan(argv.value)}. `
+      + "Use `package restore` to list the available backups."));
+    process.exitCode = 1;
+    return;
+  }
+  if ( matches.length > 1 ) {
+    console.error(chalk.red(`More than one compendium pack was backed up at ${chalk.cyan(argv.value)}. `
+      + "Use `-n <name>` to choose one."));
+    process.exitCode = 1;
+    return;
+  }
+  if ( !restoreBackup(argv, matches[0]) ) process.exitCode = 1;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Back up a compendium pack, its source directory, or both, then discard the oldest backups of that pack beyond the
+ * configured retention. Nothing is backed up if neither exists yet.
+ * @param {CLIArgs} argv                The command line arguments.
+ * @param {object} options
+ * @param {string} options.action      The action the backup is being taken before, such as "pack" or "delete".
+ * @param {string} options.name         The name of the compendium pack.
+ * @param {string} [options.pack]       The path to the pack, if it should be backed up.
+ * @param {string} [options.source]     The path to the source directory, if it should be backed up.
+ * @param {string} [options.keep]       The path of a backup that should not be discarded.
+ * @returns {boolean}                   Whether the backup succeeded, or was not needed.
+ */
+function backUp(argv, { action, name, pack, source, keep }) {
+  if ( argv.backup === false ) return true;
+  if ( pack && !fs.existsSync(path.extname(pack) === ".db" ? pack : path.join(pack, "CURRENT")) ) pack = undefined;
+  if ( source && (!fs.existsSync(source) || !fs.readdirSync(source).length) ) source = undefined;
+  if ( !pack && !source ) return true;
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const dest = path.join(getBackupDirectory(), name, timestamp);
+  try {
+    fs.mkdirSync(dest, { recursive: true });
+    if ( pack ) copyPack(pack, path.join(dest, "pack"));
+    if ( source ) fs.cpSync(source, path.join(dest, "source"), { recursive: true });
+    const metadata = { timestamp, action, name, pack, source };
+    fs.writeFileSync(path.join(dest, BACKUP_METADATA_FILE), JSON.stringify(metadata, null, 2) + "\n");
+  } catch ( err ) {
+    console.error(chalk.red(`Failed to back up ${chalk.blue(name)}. Use --no-backup to skip the backup.`));
+    console.error(err);
+    if ( fs.existsSync(dest) ) fs.rmSync(dest, { recursive: true, force: true });
+    return false;
+  }
+  console.log(`Backed up ${chalk.blue(name)} to "${chalk.blue(dest)}"`);
+
+  // Discard the oldest backups beyond the configured retention.
+  const retention = Number(Config.instance.get("backupRetention") ?? DEFAULT_BACKUP_RETENTION);
+  const backups = listBackups(name).filter(backup => backup.path !== keep);
+  for ( const backup of backups.slice(0, Math.max(backups.length - retention, 0)) ) {
+    fs.rmSync(backup.path, { recursive: true, force: true });
+  }
+  return true;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Restore a compendium pack or source directory from a backup, backing up their current state first.
+ * @param {CLIArgs} argv            The command line arguments.
+ * @param {BackupMetadata} backup   The backup to restore.
+ * @returns {boolean}               Whether the backup was restored.
+ */
+function restoreBackup(argv, backup) {
+  const { name, pack, source } = backup;
+  if ( pack && (path.extname(pack) !== ".db") && isFileLocked(path.join(pack, "LOCK")) ) {
+    console.error(chalk.red(`The pack "${chalk.blue(pack)}" is currently in use by Foundry VTT. `
+      + "Please close Foundry VTT and try again."));
+    return false;
+  }
+  if ( !backUp(argv, { action: "restore", name, pack, source, keep: backup.path }) ) return false;
+
+  try {
+    if ( pack ) {
+      removePack(pack);
+      copyPack(path.join(backup.path, "pack"), pack);
+      console.log(`Restored "${chalk.blue(pack)}"`);
+    }
+    if ( source ) {
+      fs.rmSync(source, { recursive: true, force: true });
+      fs.cpSync(path.join(backup.path, "source"), source, { recursive: true });
+      console.log(`Restored "${chalk.blue(source)}"`);
+    }
+  } catch ( err ) {
+    console.error(err);
+    return false;
+  }
+  return true;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * List the backups of the current package's compendium packs, oldest first.
+ * @param {string} [name]           Only list the backups of the compendium pack with this name.
+ * @returns {BackupMetadata[]}
+ */
+function listBackups(name) {
+  const root = getBackupDirectory();
+  if ( !fs.existsSync(root) ) return [];
+  const backups = [];
+  const names = name ? [name] : fs.readdirSync(root);
+  for ( const name of names ) {
+    const dir = path.join(root, name);
+    if ( !fs.existsSync(dir) ) continue;
+    for ( const timestamp of fs.readdirSync(dir) ) {
+      const file = path.join(dir, timestamp, BACKUP_METADATA_FILE);
+      try {
+        backups.push({ ...JSON.parse(fs.readFileSync(file, "utf8")), path: path.dirname(file) });
+      } catch ( err ) {
+        if ( err.code !== "ENOENT" ) console.error(chalk.yellow(`Ignoring unreadable backup "${chalk.blue(file)}".`));
+      }
+    }
+  }
+  return backups.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the directory that the current package's backups are stored in. This is the backupPath configuration
+ * value, or a directory next to the configuration file by default.
+ * @returns {string}
+ */
+function getBackupDirectory() {
+  const root = Config.instance.get("backupPath") ?? path.join(path.dirname(Config.instance.configPath), "fvtt-backups");
+  return path.join(root, currentPackageId ?? "unknown");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Copy a compendium pack. For LevelDB packs, only the files directly inside the pack's directory are copied, so that
+ * source directories kept inside it are not.
+ * @param {string} src   The pack to copy.
+ * @param {string} dest  The destination.
+ */
+function copyPack(src, dest) {
+  if ( fs.statSync(src).isFile() ) {
+    fs.copyFileSync(src, dest);
+    return;
+  }
+  fs.mkdirSync(dest, { recursive: true });
+  for ( const entry of fs.readdirSync(src, { withFileTypes: true }) ) {
+    if ( entry.isFile() && (entry.name !== "LOCK") ) {
+      fs.copyFileSync(path.join(src, entry.name), path.join(dest, entry.name));
+    }
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove a compendium pack. For LevelDB packs, only the files directly inside the pack's directory are removed, so that
+ * source directories kept inside it are not.
+ * @param {string} pack  The pack to remove.
+ */
+function removePack(pack) {
+  if ( !fs.existsSync(pack) ) return;
+  if ( fs.statSync(pack).isFile() ) {
+    fs.rmSync(pack);
+    return;
+  }
+  for ( const entry of fs.readdirSync(pack, { withFileTypes: true }) ) {
+    if ( entry.isFile() && (entry.name !== "LOCK") ) fs.rmSync(path.join(pack, entry.name));
+  }
+}
+
+/* -------------------------------------------- */
+/*  All Packs                                   */
+/* -------------------------------------------- */
+
+/**
+ * @callback CompendiumOperation
+ * @param {CLIArgs} argv        The command line arguments, identifying a single compendium pack.
+ * @returns {Promise<boolean>}  Whether the operation succeeded.
+ */
+
+/**
+ * Perform an operation on every compendium pack declared in the current package's manifest.
+ * @param {CLIArgs} argv                   The command line arguments
+ * @param {CompendiumOperation} operation  The operation to perform on each pack.
+ * @param {string} verb                    A past-tense description of the operation, used in the summary.
+ * @returns {Promise<void>}
+ */
+async function handleAll(argv, operation, verb) {
+  const pkg = getCurrentPackage(argv);
+  if ( !pkg ) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const packs = pkg.packs ?? [];
+  if ( !packs.length ) {
+    console.log(`${chalk.magenta(pkg.type)} ${chalk.cyan(currentPackageId)} does not declare any compendium packs.`);
+    return;
+  }
+
+  const results = [];
+  for ( const pack of packs ) {
+    const packArgs = { ...argv, ...getManifestPackArgs(pkg, pack) };
+    const success = await operation(packArgs);
+    results.push({ name: pack.name, success });
+  }
+
+  // Output a summary of the operation.
+  const failed = results.filter(r => !r.success);
+  console.log(`\n${verb} ${results.length - failed.length} of ${results.length} compendium packs.`);
+  for ( const { name, success } of results ) {
+    console.log(`  ${success ? chalk.green("OK") : chalk.red("FAILED")} ${chalk.cyan(name)}`);
+  }
+  if ( failed.length ) process.exitCode = 1;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Derive the command-line arguments that identify a compendium pack declared in a package manifest. Whether the pack
+ * is a NeDB pack is always taken from the manifest.
+ * @param {object} pkg   The package's manifest data.
+ * @param {object} pack  The pack's entry in the manifest's packs array.
+ * @returns {Partial<CLIArgs>}
+ */
+function getManifestPackArgs(pkg, pack) {
+  const root = path.dirname(pkg.path);
+  let packPath = path.resolve(root, pack.path ?? path.join("packs", pack.name));
+  const nedb = path.extname(packPath) === ".db";
+  if ( nedb ) packPath = packPath.slice(0, -3);
+
+  // Compendium names are resolved relative to the package's packs directory. A pack outside of it is named after its
+  // manifest entry, and is still found at the path the manifest declares.
+  let compendiumName = path.relative(path.join(root, "packs"), packPath);
+  if ( compendiumName.startsWith("..") || path.isAbsolute(compendiumName) ) compendiumName = pack.name;
+
+  return {
+    compendiumName: compendiumName.split(path.sep).join("/"),
+    compendiumType: pack.type ?? pack.entity,
+    manifestPackPath: packPath,
+    nedb
+  };
 }
@@ -1 +1,5 @@
-export { compilePack, extractPack } from "./lib/package.mjs";
+export {
+  auditAssets, checkLinks, compilePack, convertPack, deleteDocument, diffPack, extractPack, inspectPack, listDocuments,
+  queryPack, readDocument, rekeyDocument, renamePack, validateSource, writeDocument
+} from "./lib/package.mjs";
+export { getFormat, registerFormat } from "./lib/formats.mjs";
@@ -0,0 +1,124 @@
+import path from "node:path";
+import * as YAML from "js-yaml";
+
+/* -------------------------------------------- */
+/*  Configuration                               */
+/* -------------------------------------------- */
+
+/**
+ * @callback FormatParser
+ * @param {string} content  The serialized content.
+ * @returns {any}           The parsed data.
+ */
+
+/**
+ * @callback FormatStringifier
+ * @param {any} data          The data to serialize.
+ * @param {object} [options]  Format-specific serialization options.
+ * @returns {string}          The serialized content.
+ */
+
+/**
+ * @typedef {object} FormatDefinition
+ * @property {FormatParser} parse          A function that parses the content of a source file.
+ * @property {FormatStringifier} stringify  A function that serializes a Document to be written to a source file.
+ * @property {string|string[]} extensions  The file extension or extensions of source files in this format, including
+ *                                         the leading dot. The first extension is used when writing source files.
+ */
+
+/**
+ * @typedef {object} SerializationFormat
+ * @property {string} name                  The name the format is registered under.
+ * @property {FormatParser} parse           A function that parses the content of a source file.
+ * @property {FormatStringifier} stringify  A function that serializes a Document to be written to a source file.
+ * @property {string[]} extensions          The file extensions of source files in this format.
+ * @property {string} extension             The file extension used when writing source files in this format.
+ */
+
+/**
+ * The registered serialization formats.
+ * @type {Map<string, SerializationFormat>}
+ */
+const FORMATS = new Map();
+
+/* -------------------------------------------- */
+/*  Registry                                    */
+/* -------------------------------------------- */
+
+/**
+ * Register a serialization format that source files can be read from and written in. Registering a format with the
+ * same name as an existing one replaces it.
+ * @param {string} name                    The name of the format, as passed to the format option.
+ * @param {FormatDefinition} definition    The format's definition.
+ * @returns {SerializationFormat}          The registered format.
+ */
+export function registerFormat(name, { parse, stringify, extensions }={}) {
+  if ( typeof parse !== "function" ) throw new Error(`Format '${name}' must provide a parse function.`);
+  if ( typeof stringify !== "function" ) throw new Error(`Format '${name}' must provide a stringify function.`);
+  extensions = [extensions ?? []].flat().map(ext => ext.startsWith(".") ? ext : `.${ext}`);
+  if ( !extensions.length ) throw new Error(`Format '${name}' must provide at least one file extension.`);
+  const format = { name, parse, stringify, extensions, extension: extensions[0] };
+  FORMATS.set(name, format);
+  return format;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Retrieve a registered serialization format.
+ * @param {string} name             The name of the format.
+ * @returns {SerializationFormat}
+ */
+export function getFormat(name) {
+  const format = FORMATS.get(name);
+  if ( !format ) {
+    throw new Error(`Unknown format '${name}'. Registered formats are: ${Array.from(FORMATS.keys()).join(", ")}.`);
+  }
+  return format;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the serialization format to use from a format name, or the legacy yaml option if no name is given.
+ * @param {object} [options]
+ * @param {string} [options.format]        The name of the format.
+ * @param {boolean} [options.yaml=false]   Whether to use YAML, if no format name is given.
+ * @returns {SerializationFormat}
+ */
+export function resolveFormat({ format, yaml=false }={}) {
+  return getFormat(format ?? (yaml ? "yaml" : "json"));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the serialization format of a file from its extension. If more than one registered format uses the
+ * extension, the preferred format is used if it is one of them, otherwise the first format registered with it is used.
+ * @param {string} file                         The file path.
+ * @param {SerializationFormat} [preferred]     The preferred format.
+ * @returns {SerializationFormat|void}
+ */
+export function getFileFormat(file, preferred) {
+  const ext = path.extname(file);
+  if ( preferred?.extensions.includes(ext) ) return preferred;
+  for ( const format of FORMATS.values() ) {
+    if ( format.extensions.includes(ext) ) return format;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Built-in Formats                            */
+/* -------------------------------------------- */
+
+registerFormat("json", {
+  parse: JSON.parse,
+  stringify: (data, { replacer=null, space=2 }={}) => JSON.stringify(data, replacer, space) + "\n",
+  extensions: ".json"
+});
+
+registerFormat("yaml", {
+  parse: YAML.load,
+  stringify: (data, options) => YAML.dump(data, options),
+  extensions: [".yml", ".yaml"]
+});
@@ -1,10 +1,11 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
 import Datastore from "nedb-promises";
 import chalk from "chalk";
-import * as YAML from "js-yaml";
 import { ClassicLevel } from "classic-level";
+import { getFileFormat, resolveFormat } from "./formats.mjs";
 
 /* -------------------------------------------- */
 /*  Configuration                               */
@@ -29,8 +30,14 @@ import { ClassicLevel } from "classic-level";
  * @property {boolean} [nedb=false]               Whether to operate on a NeDB database, otherwise a LevelDB database is
  *                                                assumed.
  * @property {boolean} [yaml=false]               Whether the source files are in YAML format, otherwise JSON is
- *                                                assumed.
+ *                                                assumed. Equivalent to a format of "yaml".
+ * @property {string} [format="json"]             The name of the registered format that the source files are in.
+ *                                                Takes precedence over the yaml option.
  * @property {boolean} [log=false]                Whether to log operation progress to the console.
+ * @property {Logger} [logger=console]            The logger to log operation progress to, if the log option is
+ *                                                enabled.
+ * @property {ProgressCallback} [onProgress]      A function that is called with events describing the operation's
+ *                                                progress.
  * @property {EntryTransformer} [transformEntry]  A function that is called on every entry to transform it.
  */
 
@@ -38,23 +45,55 @@ import { ClassicLevel } from "classic-level";
  * @typedef {PackageOptions} CompileOptions
  * @property {boolean} [recursive=false]  Whether to recurse into child directories to locate source files, otherwise
  *                                        only source files located in the root directory will be used.
+ * @property {boolean} [dryRun=false]     Read and transform the source files without writing anything. The result
+ *                                        describes the keys that would be written, removed, or left unchanged.
+ * @property {boolean} [generateKeys=false]  Assign a random _id and a _key to source Documents and embedded
+ *                                           Documents that are missing them, rather than skipping the source file.
+ * @property {boolean} [writeKeys=false]     Write any generated IDs and keys back into their source files, so that
+ *                                           they remain stable. They are only written once the pack has been
+ *                                           written successfully, and not during a dry run.
+ * @property {boolean} [keepGoing=false]     Continue reading the remaining source files after one fails, then reject
+ *                                           with an AggregateError describing every failure. The pack is not
+ *                                           modified if any source file failed.
+ * @property {DocumentType} [documentType]   The type of Document that source files without a _key contain, when
+ *                                           generating keys. If not provided, it is inferred from the other source
+ *                                           files.
+ * @property {DocumentCollection} [collection]  Can be used instead of documentType if known.
  */
 
 /**
  * @typedef {PackageOptions} ExtractOptions
  * @property {object} [yamlOptions]                   Options to pass to yaml.dump when serializing Documents.
  * @property {JSONOptions} [jsonOptions]              Options to pass to JSON.stringify when serializing Documents.
+ * @property {object} [formatOptions]                 Options to pass to the format's stringify function when
+ *                                                    serializing Documents. Defaults to the yamlOptions or jsonOptions
+ *                                                    for the built-in formats.
  * @property {DocumentType} [documentType]            Required only for NeDB packs in order to generate a correct key.
+ * @property {boolean} [dryRun=false]                 Perform all parsing, transformation, naming, and volatile checks
+ *                                                    without writing anything to the destination. The result
+ *                                                    describes the files that would be written, removed, or left
+ *                                                    unchanged.
  * @property {boolean} [clean]                        Delete the destination directory before unpacking.
  * @property {boolean} [folders]                      Create a directory structure that matches the compendium folders.
  * @property {boolean} [expandAdventures]             Write documents embedded in Adventures to their own files. If the
  *                                                    folders option is also supplied, the Adventure is treated like a
  *                                                    folder, and all its entries are grouped into sub-folders by
  *                                                    Document type.
+ * @property {boolean} [expandEmbedded]               Write each Document in an embedded collection, such as an Actor's
+ *                                                    Items or a Scene's Walls, to its own file in a folder named after
+ *                                                    the parent Document's file, and reference those files from the
+ *                                                    parent Document instead.
+ * @property {boolean} [expandContent]                Write the text content of JournalEntryPages and the commands of
+ *                                                    script Macros to their own files alongside the Document's source
+ *                                                    file, and reference those files from the Document instead.
  * @property {boolean} [omitVolatile]                 Do not overwrite an existing entry if the new one has changes to
  *                                                    non-volatile fields. Currently, _stats.createdTime,
  *                                                    _stats.modifiedTime, _stats.lastModifiedBy, _stats.systemVersion,
  *                                                    and _stats.coreVersion are considered volatile.
+ * @property {boolean} [canonical]                    Serialize Documents in a canonical form, so that their source
+ *                                                    files only change when their contents do. Object keys are sorted,
+ *                                                    with _id, name, and type first, embedded Documents are ordered by
+ *                                                    their sort field then their _id, and line endings are normalized.
  * @property {DocumentCollection} [collection]        Required only for NeDB packs in order to generate a correct key.
  *                                                    Can be used instead of documentType if known.
  * @property {NameTransformer} [transformName]        A function that is used to generate a filename for the extracted
@@ -88,6 +127,34 @@ import { ClassicLevel } from "classic-level";
  * @returns {any}       The value returned is substituted instead of the current property's value.
  */
 
+/**
+ * @typedef {object} Logger
+ * @property {function(...any): void} log    Log an informational message.
+ * @property {function(...any): void} error  Log an error message.
+ */
+
+/**
+ * @typedef {object} ProgressEvent
+ * @property {"start"|"progress"|"packed"|"removed"|"wrote"|"skipped"|"error"} type  The type of event.
+ * @property {number} [total]    For start and progress events, the number of source files or primary Documents that
+ *                               will be processed.
+ * @property {number} [current]  For progress events, the number of source files or primary Documents that have been
+ *                               processed so far.
+ * @property {string} [key]      The key of the entry that the event concerns.
+ * @property {string} [id]       The ID of the entry that the event concerns.
+ * @property {string} [name]     For packed events, the name of the Document.
+ * @property {string} [file]     The source file that was read, or the file that was written.
+ * @property {string} [reason]   For skipped events, the reason the entry was skipped.
+ * @property {Error} [error]     For error events, the error that occurred. Errors during extraction concern the
+ *                               Document with the given key, and stop the extraction.
+ * @property {boolean} [adventure]  For error events, whether the error occurred while reconstructing an Adventure.
+ */
+
+/**
+ * @callback ProgressCallback
+ * @param {ProgressEvent} event  The event.
+ */
+
 /**
  * @callback EntryTransformer
  * @param {object} entry                      The entry data.
@@ -109,6 +176,7 @@ import { ClassicLevel } from "classic-level";
  * @param {object} context                    Additional serialization context.
  * @param {string} context.filename           The full path to the file that will be written.
  * @param {boolean} context.yaml              Whether this is YAML or JSON.
+ * @param {string} context.format             The name of the format the data was serialized in.
  * @returns {Promise<string>}                 The transformed data to write.
  */
 
@@ -247,23 +315,81 @@ const VOLATILE_FIELDS = ["createdTime", "modifiedTime", "lastModifiedBy", "syste
 /*  Compiling                                   */
 /* -------------------------------------------- */
 
+/**
+ * @typedef {object} OperationResult
+ * @property {string[]} written        The keys or files that were written.
+ * @property {string[]} removed        The keys or files that were removed.
+ * @property {string[]} unchanged      The keys or files that were left unchanged.
+ * @property {SkippedEntry[]} skipped  The entries that were skipped.
+ * @property {boolean} dryRun          Whether this was a dry run, in which case the result describes what would have
+ *                                     been written or removed, but nothing was.
+ * @property {number} duration         The time taken by the operation, in milliseconds.
+ */
+
+/**
+ * @typedef {OperationResult} CompileResult
+ * @property {string[]} packed  The keys of every entry that was read from the source files, including embedded
+ *                              Documents.
+ */
+
+/**
+ * @typedef {object} SkippedEntry
+ * @property {"missingKey"|"transformEntry"|"unsupported"} reason  Why the entry was skipped. Either the source file
+ *                                                                 had no _key, the entry was rejected by the
+ *                                                                 transformEntry function, or the entry cannot be
+ *                                                                 stored in the target pack.
+ * @property {string} [file]                                       The entry's source file, if it has one.
+ * @property {string} [key]                                        The entry's key, if it has one.
+ * @property {string} [id]                                         The entry's ID, if it has no key.
+ */
+
+/**
+ * @typedef {object} CompileFailure
+ * @property {string} file   The source file that could not be compiled.
+ * @property {Error} error   The reason it could not be compiled.
+ */
+
 /**
  * Compile source files into a compendium pack.
  * @param {string} src   The directory containing the source files.
  * @param {string} dest  The target compendium pack. This should be a directory for LevelDB packs, or a .db file for
  *                       NeDB packs.
  * @param {CompileOptions} [options]
- * @returns {Promise<void>}
+ * @returns {Promise<CompileResult>}
  */
 export async function compilePack(src, dest, {
-  nedb=false, yaml=false, recursive=false, log=false, transformEntry
+  nedb=false, yaml=false, format, recursive=false, log=false, logger=console, onProgress, dryRun=false,
+  generateKeys=false, writeKeys=false, documentType, collection, keepGoing=false, transformEntry
 }={}) {
   if ( nedb && (path.extname(dest) !== ".db") ) {
     throw new Error("The nedb option was passed to compilePacks, but the target pack does not have a .db extension.");
   }
-  const files = findSourceFiles(src, { yaml, recursive });
-  if ( nedb ) return compileNedb(dest, files, { log, transformEntry });
-  return compileClassicLevel(dest, files, { log, transformEntry });
+  format = resolveFormat({ format, yaml });
+  const start = performance.now();
+  const skipped = [];
+  if ( !log ) logger = null;
+  const report = createReporter({ logger, onProgress, skipped });
+  let files = findSourceFiles(src, { format, recursive });
+
+  // Files referenced by another source file are read as part of the Document that references them.
+  if ( recursive ) {
+    const referenced = findReferencedFiles(files, format);
+    files = files.filter(file => !referenced.has(file));
+  }
+  collection ??= TYPE_COLLECTION_MAP[documentType];
+  const generate = generateKeys
+    ? createKeyGenerator(files, { format, collection, writeBack: writeKeys && !dryRun })
+    : null;
+  const errors = keepGoing ? [] : null;
+  report({ type: "start", total: files.length });
+  const options = { format, logger, report, dryRun, generate, errors, transformEntry };
+  const result = nedb ? await compileNedb(dest, files, options) : await compileClassicLevel(dest, files, options);
+
+  // Only write generated keys back to the source files once the pack has been written successfully.
+  generate?.write();
+  result.skipped = skipped;
+  result.duration = performance.now() - start;
+  return result;
 }
 
 /* -------------------------------------------- */
@@ -272,125 +398,345 @@ export async function compilePack(src, dest, {
  * Compile a set of files into a NeDB compendium pack.
  * @param {string} pack     The target compendium pack.
  * @param {string[]} files  The source files.
- * @param {Partial<PackageOptions>} [options]
- * @returns {Promise<void>}
+ * @param {Partial<CompileOptions>} [options]
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
+ * @param {KeyGenerator} [options.generate]    The function to assign missing IDs and keys with, if enabled.
+ * @param {CompileFailure[]} [options.errors]  An array to collect failures in, if compilation should continue past
+ *                                             them.
+ * @returns {Promise<Omit<CompileResult, "skipped"|"duration">>}
  */
-async function compileNedb(pack, files, { log, transformEntry }={}) {
-  // Delete the existing NeDB file if it exists.
-  try {
-    fs.unlinkSync(pack);
-  } catch ( err ) {
-    if ( err.code !== "ENOENT" ) throw err;
-  }
-
-  // Create a new NeDB Datastore.
-  const db = Datastore.create(pack);
-  const seenKeys = new Set();
-  const packDoc = applyHierarchy(doc => {
-    if ( seenKeys.has(doc._key) ) {
-      throw new Error(`An entry with key '${doc._key}' was already packed and would be overwritten by this entry.`);
-    }
-    seenKeys.add(doc._key);
+async function compileNedb(pack, files, { format, logger, report, dryRun, generate, errors, transformEntry }={}) {
+  const docs = new Map();
+  const sources = new Map();
+  const packDoc = applyHierarchy((doc, collection, { file }) => {
+    if ( sources.has(doc._key) ) throw duplicateKeyError(doc._key, sources.get(doc._key));
+    sources.set(doc._key, file);
     delete doc._key;
+    return { file };
   });
 
-  // Iterate over all source files, writing them to the DB.
-  for ( const file of files ) {
+  // Iterate over all source files, collecting the Documents to write to the DB.
+  for ( const [i, file] of files.entries() ) {
     try {
-      const contents = fs.readFileSync(file, "utf8");
-      const ext = path.extname(file);
-      const isYaml = ext === ".yml" || ext === ".yaml";
-      const doc = isYaml ? YAML.load(contents) : JSON.parse(contents);
-      if ( !doc._key ) continue;
-      if ( doc._key.startsWith("!adventures") ) await reconstructAdventure(path.dirname(file), doc, {
-        transformEntry, log
+      const doc = readSourceFile(file, format);
+      const [, collection=generate?.resolveCollection(doc, file)] = doc._key?.split("!") ?? [];
+      if ( !collection ) {
+        report({ type: "skipped", file, reason: "missingKey" });
+        continue;
+      }
+      if ( collection === "adventures" ) await reconstructAdventure(path.dirname(file), doc, {
+        format, transformEntry, report, errors
       });
+      reconstructDocument(doc, collection, path.dirname(file), { format, generateIds: !!generate });
+      generate?.assign(doc, collection, file);
       const key = doc._key;
-      const [, collection] = key.split("!");
       const documentType = COLLECTION_TYPE_MAP[collection];
       const context = { documentType };
       // If the key starts with !folders, we should skip packing it as NeDB doesn't support folders.
-      if ( key.startsWith("!folders") ) continue;
-      if ( await transformEntry?.(doc, context) === false ) continue;
-      await packDoc(doc, collection);
-      await db.insert(doc);
-      if ( log ) console.log(`Packed ${chalk.blue(doc._id)}${chalk.blue(doc.name ? ` (${doc.name})` : "")}`);
+      if ( key.startsWith("!folders") ) {
+        report({ type: "skipped", file, key, reason: "unsupported" });
+        continue;
+      }
+      if ( await transformEntry?.(doc, context) === false ) {
+        report({ type: "skipped", file, key, reason: "transformEntry" });
+        continue;
+      }
+      await packDoc(doc, collection, { file });
+      docs.set(key, doc);
+      if ( !dryRun ) report({ type: "packed", file, key, id: doc._id, name: doc.name });
     } catch ( err ) {
-      if ( log ) console.error(`Failed to pack ${chalk.red(file)}. See error below.`);
-      throw err;
+      report({ type: "error", file, error: err });
+      if ( !errors ) throw err;
+      errors.push({ file, error: err });
+    } finally {
+      report({ type: "progress", current: i + 1, total: files.length });
     }
   }
 
-  // Compact the DB.
-  db.stopAutocompaction();
-  await new Promise(resolve => db.compactDatafile(resolve));
+  if ( errors?.length ) throw createCompileError(errors);
+  return { packed: Array.from(sources.keys()), ...await writeNedb(pack, docs, { logger, report, dryRun }) };
 }
 
 /* -------------------------------------------- */
 
 /**
- * Compile a set of files into a LevelDB compendium pack.
- * @param {string} pack  The target compendium pack.
- * @param {string[]} files  The source files.
- * @param {Partial<PackageOptions>} [options]
- * @returns {Promise<void>}
+ * Replace the contents of a NeDB compendium pack with the given Documents. The new database is written to a temporary
+ * file, which then replaces the existing one, so the existing pack is left intact if writing fails.
+ * @param {string} pack               The target compendium pack.
+ * @param {Map<string, object>} docs  The Documents to write, keyed by their equivalent LevelDB keys.
+ * @param {Partial<CompileOptions>} [options]
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
+ * @returns {Promise<Omit<OperationResult, "skipped"|"duration">>}
  */
-async function compileClassicLevel(pack, files, { log, transformEntry }={}) {
-  // Create the classic level directory if it doesn't already exist.
-  fs.mkdirSync(pack, { recursive: true });
+async function writeNedb(pack, docs, { logger, report, dryRun }={}) {
+  const result = { ...await planNedb(pack, docs), dryRun };
+  if ( dryRun ) {
+    if ( logger ) logPlan(result, logger);
+    return result;
+  }
 
-  // Load the directory as a ClassicLevel DB.
-  const db = new ClassicLevel(pack, { keyEncoding: "utf8", valueEncoding: "json" });
-  await db.open();
-  const batch = db.batch();
-  const seenKeys = new Set();
+  await replaceNedb(pack, docs.values());
+  for ( const key of result.removed ) report({ type: "removed", key });
+  return result;
+}
 
-  const packDoc = applyHierarchy(async (doc, collection) => {
-    const key = doc._key;
-    delete doc._key;
-    if ( seenKeys.has(key) ) {
-      throw new Error(`An entry with key '${key}' was already packed and would be overwritten by this entry.`);
-    }
-    seenKeys.add(key);
-    const value = structuredClone(doc);
-    await mapHierarchy(value, collection, d => d._id);
-    batch.put(key, value);
+/* -------------------------------------------- */
+
+/**
+ * Write a set of Documents to a new NeDB file in a temporary directory, then swap it into place, so that the pack is
+ * left as it was if anything fails.
+ * @param {string} pack              The target compendium pack.
+ * @param {Iterable<object>} docs    The Documents that the pack should contain.
+ * @returns {Promise<void>}
+ */
+async function replaceNedb(pack, docs) {
+  await withTemporaryDirectory(pack, async temp => {
+    // Create a new NeDB Datastore and write the Documents to it.
+    const file = path.join(temp, path.basename(pack));
+    const db = Datastore.create(file);
+    for ( const doc of docs ) await db.insert(doc);
+
+    // Compact the DB.
+    db.stopAutocompaction();
+    await new Promise(resolve => db.compactDatafile(resolve));
+
+    // Replace the existing NeDB file.
+    fs.renameSync(file, pack);
   });
+}
 
-  // Iterate over all files in the input directory, writing them to the DB.
-  for ( const file of files ) {
+/* -------------------------------------------- */
+
+/**
+ * Determine which Documents in a NeDB pack would be written, removed, or left unchanged by compilation.
+ * @param {string} pack                 The target compendium pack.
+ * @param {Map<string, object>} docs    The Documents that would be written to it, keyed by their source keys.
+ * @returns {Promise<Pick<OperationResult, "written"|"removed"|"unchanged">>}
+ */
+async function planNedb(pack, docs) {
+  const plan = { written: [], removed: [], unchanged: [] };
+  const existing = new Map();
+  if ( fs.existsSync(pack) ) {
+    for ( const doc of readNedbDocuments(pack) ) existing.set(doc._id, doc);
+  }
+  for ( const [key, doc] of docs ) {
+    const stored = existing.get(doc._id);
+    existing.delete(doc._id);
+    alignEmbeddedOrder(doc, stored, getKeyCollection(key));
+    if ( stored && testEquality(stored, JSON.parse(JSON.stringify(doc))) ) plan.unchanged.push(key);
+    else plan.written.push(key);
+  }
+
+  // NeDB packs only contain a single type of Document, so the keys of removed Documents can be inferred.
+  const [, collection] = docs.keys().next().value?.split("!") ?? [];
+  for ( const id of existing.keys() ) plan.removed.push(collection ? `!${collection}!${id}` : id);
+  return plan;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Compile a set of files into a LevelDB compendium pack.
+ * @param {string} pack  The target compendium pack.
+ * @param {string[]} files  The source files.
+ * @param {Partial<CompileOptions>} [options]
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
+ * @param {KeyGenerator} [options.generate]    The function to assign missing IDs and keys with, if enabled.
+ * @param {CompileFailure[]} [options.errors]  An array to collect failures in, if compilation should continue past
+ *                                             them.
+ * @returns {Promise<Omit<CompileResult, "skipped"|"duration">>}
+ */
+async function compileClassicLevel(pack, files, {
+  format, logger, report, dryRun, generate, errors, transformEntry
+}={}) {
+  const entries = new Map();
+  const sources = new Map();
+
+  // Iterate over all files in the input directory, collecting the entries to write to the DB.
+  for ( const [i, file] of files.entries() ) {
     try {
-      const contents = fs.readFileSync(file, "utf8");
-      const ext = path.extname(file);
-      const isYaml = ext === ".yml" || ext === ".yaml";
-      const doc = isYaml ? YAML.load(contents) : JSON.parse(contents);
-      if ( !doc._key ) continue;
-      if ( doc._key.startsWith("!adventures") ) await reconstructAdventure(path.dirname(file), doc, {
-        transformEntry, log
+      const doc = readSourceFile(file, format);
+      const [, collection=generate?.resolveCollection(doc, file)] = doc._key?.split("!") ?? [];
+      if ( !collection ) {
+        report({ type: "skipped", file, reason: "missingKey" });
+        continue;
+      }
+      if ( collection === "adventures" ) await reconstructAdventure(path.dirname(file), doc, {
+        format, transformEntry, report, errors
       });
-      const [, collection] = doc._key.split("!");
+      reconstructDocument(doc, collection, path.dirname(file), { format, generateIds: !!generate });
+      generate?.assign(doc, collection, file);
       const documentType = COLLECTION_TYPE_MAP[collection];
       const context = { documentType };
-      if ( await transformEntry?.(doc, context) === false ) continue;
-      await packDoc(doc, collection);
-      if ( log ) console.log(`Packed ${chalk.blue(doc._id)}${chalk.blue(doc.name ? ` (${doc.name})` : "")}`);
+      if ( await transformEntry?.(doc, context) === false ) {
+        report({ type: "skipped", file, key: doc._key, reason: "transformEntry" });
+        continue;
+      }
+      const key = doc._key;
+      await flattenDocument(doc, collection, entries, { sources, file });
+      if ( !dryRun ) report({ type: "packed", file, key, id: doc._id, name: doc.name });
     } catch ( err ) {
-      if ( log ) console.error(`Failed to pack ${chalk.red(file)}. See error below.`);
-      throw err;
+      report({ type: "error", file, error: err });
+      if ( !errors ) throw err;
+      errors.push({ file, error: err });
+    } finally {
+      report({ type: "progress", current: i + 1, total: files.length });
     }
   }
 
-  // Remove any entries in the DB that are not part of the source set.
-  for ( const key of await db.keys().all() ) {
-    if ( !seenKeys.has(key) ) {
-      batch.del(key);
-      if ( log ) console.log(`Removed ${chalk.blue(key)}`);
-    }
+  if ( errors?.length ) throw createCompileError(errors);
+
+  return { packed: Array.from(entries.keys()), ...await writeClassicLevel(pack, entries, { logger, report, dryRun }) };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Write a set of entries to a LevelDB compendium pack, removing any stored entries that are not part of the set. Only
+ * entries that differ from those already stored are written, and the pack is left untouched if none do. Changes are
+ * made to a copy of the pack, which is swapped into place once they have all been written.
+ * @param {string} pack                  The target compendium pack.
+ * @param {Map<string, object>} entries  The entries to write, keyed by their LevelDB keys.
+ * @param {Partial<CompileOptions>} [options]
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
+ * @returns {Promise<Omit<OperationResult, "skipped"|"duration">>}
+ */
+async function writeClassicLevel(pack, entries, { logger, report, dryRun }={}) {
+  // Only write entries that differ from what is already stored in the DB.
+  const stored = await readClassicLevelEntries(pack);
+  const { added, updated, removed, unchanged } = compareEntries(entries, stored);
+  const result = { written: [...added, ...updated], removed, unchanged, dryRun };
+  if ( dryRun ) {
+    if ( logger ) logPlan(result, logger);
+    return result;
+  }
+
+  // Only touch the DB if something would change, or it has not been created yet.
+  const changed = added.length || updated.length || removed.length;
+  if ( changed || !fs.existsSync(path.join(pack, "CURRENT")) ) {
+    await replaceClassicLevel(pack, async db => {
+      const batch = db.batch();
+      for ( const key of [...added, ...updated] ) batch.put(key, entries.get(key));
+
+      // Remove any entries in the DB that are not part of the source set.
+      for ( const key of removed ) batch.del(key);
+      await batch.write();
+      await compactClassicLevel(db);
+    });
+  }
+  for ( const key of removed ) report({ type: "removed", key });
+
+  if ( logger ) {
+    logger.log(`${chalk.green(added.length)} added, ${chalk.yellow(updated.length)} updated, `
+      + `${chalk.red(removed.length)} removed, ${unchanged.length} unchanged.`);
+  }
+  return result;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} EntryComparison
+ * @property {string[]} added      The keys of entries that are not yet stored.
+ * @property {string[]} updated    The keys of entries that differ from those stored.
+ * @property {string[]} removed    The keys of stored entries that are not part of the candidate set.
+ * @property {string[]} unchanged  The keys of entries that are identical to those stored.
+ */
+
+/**
+ * Compare a set of candidate entries against those already stored in a LevelDB pack.
+ * @param {Map<string, object>} entries  The candidate entries.
+ * @param {Map<string, object>} stored   The stored entries.
+ * @returns {EntryComparison}
+ */
+function compareEntries(entries, stored) {
+  const comparison = { added: [], updated: [], removed: [], unchanged: [] };
+  for ( const [key, value] of entries ) {
+    alignEmbeddedOrder(value, stored.get(key), getKeyCollection(key));
+    if ( !stored.has(key) ) comparison.added.push(key);
+    // Round-trip the candidate value through JSON so that it is compared in the same form that it would be stored.
+    else if ( testEquality(stored.get(key), JSON.parse(JSON.stringify(value))) ) comparison.unchanged.push(key);
+    else comparison.updated.push(key);
+  }
+  for ( const key of stored.keys() ) {
+    if ( !entries.has(key) ) comparison.removed.push(key);
   }
+  return comparison;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The names of the files that make up a LevelDB database, excluding its LOCK file.
+ * @type {RegExp}
+ */
+const CLASSIC_LEVEL_FILE = /^(CURRENT|LOG(\.old)?|MANIFEST-\d+|\d+\.(log|ldb|sst))$/;
+
+/**
+ * List the files that make up a LevelDB database.
+ * @param {string} dir  The database's directory.
+ * @returns {string[]}
+ */
+function listClassicLevelFiles(dir) {
+  if ( !fs.existsSync(dir) ) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && CLASSIC_LEVEL_FILE.test(entry.name))
+    .map(entry => entry.name);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Modify a copy of a LevelDB pack in a temporary directory, then swap the result into place.
+ * LevelDB only reads the files named by the manifest that its CURRENT file points to, and never modifies a table file
+ * once written, so the copy's new files are moved in first and its CURRENT file replaces the pack's last. If anything
+ * fails before then, the pack is left as it was. Other files in the pack's directory, such as source files, are not
+ * touched.
+ * @param {string} pack                                 The LevelDB pack.
+ * @param {(db: ClassicLevel) => Promise<void>} modify  A function that makes changes to the opened copy.
+ * @returns {Promise<void>}
+ */
+async function replaceClassicLevel(pack, modify) {
+  fs.mkdirSync(pack, { recursive: true });
+  await withTemporaryDirectory(pack, async temp => {
+    for ( const file of listClassicLevelFiles(pack) ) fs.copyFileSync(path.join(pack, file), path.join(temp, file));
+    const db = new ClassicLevel(temp, { keyEncoding: "utf8", valueEncoding: "json" });
+    await db.open();
+    try {
+      await modify(db);
+    } finally {
+      await db.close();
+    }
+
+    // Swap the modified copy into place, and remove any files it no longer uses.
+    const files = listClassicLevelFiles(temp);
+    for ( const file of files ) {
+      if ( file !== "CURRENT" ) fs.renameSync(path.join(temp, file), path.join(pack, file));
+    }
+    fs.renameSync(path.join(temp, "CURRENT"), path.join(pack, "CURRENT"));
+    for ( const file of listClassicLevelFiles(pack) ) {
+      if ( !files.includes(file) ) fs.rmSync(path.join(pack, file), { force: true });
+    }
+  });
+}
+
+/* -------------------------------------------- */
 
-  await batch.write();
-  await compactClassicLevel(db);
-  await db.close();
+/**
+ * Create a temporary directory alongside a pack, so that files can be renamed from it into the pack's location, and
+ * remove it once the given function has finished with it.
+ * @param {string} pack                           The pack.
+ * @param {(dir: string) => Promise<void>} fn     The function to call with the temporary directory.
+ * @returns {Promise<void>}
+ */
+async function withTemporaryDirectory(pack, fn) {
+  fs.mkdirSync(path.dirname(pack), { recursive: true });
+  const temp = fs.mkdtempSync(path.join(path.dirname(pack), `.${path.basename(pack)}-`));
+  try {
+    await fn(temp);
+  } finally {
+    fs.rmSync(temp, { recursive: true, force: true });
+  }
 }
 
 /* -------------------------------------------- */
@@ -400,27 +746,32 @@ async function compileClassicLevel(pack, files, { log, transformEntry }={}) {
  * @param {string} src  The Adventure document's source directory.
  * @param {object} doc  Adventure document being reconstructed.
  * @param {Partial<PackageOptions>} [options]
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
+ * @param {CompileFailure[]} [options.errors]  An array to collect failures in, if reconstruction should continue past
+ *                                             them.
  * @returns {Promise<void>}
  */
-async function reconstructAdventure(src, doc, { transformEntry, log }={}) {
+async function reconstructAdventure(src, doc, { format, transformEntry, report, errors }={}) {
   const context = { adventure: { doc } };
   for ( const embeddedCollectionName of ADVENTURE_DOCS ) {
     const entries = [];
     for ( let entry of doc[embeddedCollectionName] ?? [] ) {
       if ( typeof entry === "string" ) {
         const file = path.join(src, entry);
-        let contents;
         try {
-          contents = fs.readFileSync(file, "utf8");
+          entry = readSourceFile(file, format);
+          reconstructDocument(entry, embeddedCollectionName, path.dirname(file), { format });
         } catch ( err ) {
-          if ( log ) console.error(`Failed to pack ${chalk.red(file)} as part of Adventure reconstruction.`);
-          throw err;
+          report?.({ type: "error", file, error: err, adventure: true });
+          if ( !errors ) throw err;
+          errors.push({ file, error: err });
+          continue;
         }
-        const ext = path.extname(file);
-        const isYaml = ext === ".yml" || ext === ".yaml";
         const documentType = COLLECTION_TYPE_MAP[embeddedCollectionName];
-        entry = isYaml ? YAML.load(contents) : JSON.parse(contents);
-        if ( await transformEntry?.(entry, { ...context, documentType }) === false ) continue;
+        if ( await transformEntry?.(entry, { ...context, documentType }) === false ) {
+          report?.({ type: "skipped", file, reason: "transformEntry" });
+          continue;
+        }
       }
       entries.push(entry);
     }
@@ -430,6 +781,211 @@ async function reconstructAdventure(src, doc, { transformEntry, log }={}) {
 
 /* -------------------------------------------- */
 
+/**
+ * Reassemble a Document read from a source file by reading any embedded Documents written to their own files by the
+ * expandEmbedded option, and any content written to its own files by the expandContent option. LevelDB keys are
+ * assigned to embedded Documents read from their own files, if the Document has a key.
+ * @param {object} doc                         The Document.
+ * @param {DocumentCollection} collection      The Document's collection.
+ * @param {string} src                         The directory containing the Document's source file.
+ * @param {object} [options]
+ * @param {SerializationFormat} [options.format]  The format the source files are in.
+ * @param {Set<string>} [options.files]        A set to record the paths of any embedded Document files read in.
+ * @param {boolean} [options.generateIds=false]  Allow embedded Document files without an _id, as their IDs and keys
+ *                                               will be generated.
+ */
+function reconstructDocument(doc, collection, src, { format, files, generateIds=false }={}) {
+  inlineContent(doc, collection, src);
+  const [, sublevel, id] = doc._key?.split("!") ?? [];
+  for ( const [embeddedCollectionName, type] of Object.entries(HIERARCHY[collection] ?? {}) ) {
+    const entries = doc[embeddedCollectionName];
+    if ( !Array.isArray(type) || !Array.isArray(entries) ) continue;
+    doc[embeddedCollectionName] = entries.map(entry => {
+      if ( typeof entry !== "string" ) {
+        if ( isPlainObject(entry) ) {
+          reconstructDocument(entry, embeddedCollectionName, src, { format, files, generateIds });
+        }
+        return entry;
+      }
+      const file = resolveSourcePath(src, entry);
+      if ( !fs.existsSync(file) ) {
+        throw new Error(`The Document references the embedded Document file '${entry}', which does not exist.`);
+      }
+      files?.add(file);
+      const embeddedDoc = readSourceFile(file, format);
+      if ( !isPlainObject(embeddedDoc) || (!embeddedDoc._id && !generateIds) ) {
+        throw new Error(`The embedded Document file '${entry}' has no _id.`);
+      }
+      if ( sublevel && embeddedDoc._id ) {
+        embeddedDoc._key = `!${sublevel}.${embeddedCollectionName}!${id}.${embeddedDoc._id}`;
+      }
+      reconstructDocument(embeddedDoc, embeddedCollectionName, path.dirname(file), { format, files, generateIds });
+      return embeddedDoc;
+    });
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} KeyGenerator
+ * @property {(doc: object, file: string) => DocumentCollection} resolveCollection
+ *   Determine the collection of a Document read from a source file that has no _key.
+ * @property {(doc: object, collection: DocumentCollection, file: string) => boolean} assign
+ *   Assign IDs and keys to a reassembled Document and its embedded Documents where they are missing, and return
+ *   whether any were assigned.
+ * @property {() => void} write
+ *   Write the IDs and keys assigned so far back to the source files, if enabled.
+ */
+
+/**
+ * Create functions that assign a random _id and a _key to source Documents and embedded Documents that are missing
+ * them. They are assigned once a Document has been reassembled, so that embedded Documents written to their own files
+ * are included.
+ * @param {string[]} files                            The source files being compiled.
+ * @param {object} [options]
+ * @param {SerializationFormat} [options.format]      The format the source files are in.
+ * @param {DocumentCollection} [options.collection]   The collection that new Documents belong to. If not provided, it
+ *                                                    is inferred from the keys of the other source files.
+ * @param {boolean} [options.writeBack=false]         Record generated IDs and keys, so that they can be written back
+ *                                                    to the source files once the pack has been written.
+ * @returns {KeyGenerator}
+ */
+function createKeyGenerator(files, { format, collection, writeBack=false }={}) {
+  const collections = new Set();
+  for ( const file of collection ? [] : files ) {
+    let doc;
+    try {
+      doc = readSourceFile(file, format);
+    } catch {
+      continue; // The error will be reported when the file is compiled.
+    }
+    const [, docCollection] = (isPlainObject(doc) && doc._key?.split("!")) || [];
+    if ( docCollection && (docCollection !== "folders") ) collections.add(docCollection);
+  }
+  if ( !collection && (collections.size === 1) ) [collection] = collections;
+  const isFolder = file => path.basename(file, path.extname(file)) === "_Folder";
+  const assigned = [];
+
+  const resolveCollection = (doc, file) => {
+    const docCollection = isFolder(file) ? "folders" : collection;
+    if ( !docCollection ) {
+      throw new Error(`Unable to determine the collection of '${file}'. Provide a documentType to generate its key.`);
+    }
+    return docCollection;
+  };
+
+  const assign = (doc, docCollection, file) => {
+    let changed = false;
+
+    // Place new Documents in the Folder whose directory they are in, if any.
+    if ( !doc._key && (doc.folder === undefined) ) {
+      const folder = readFolderId(isFolder(file) ? path.dirname(path.dirname(file)) : path.dirname(file), format);
+      if ( folder ) {
+        doc.folder = folder;
+        changed = true;
+      }
+    }
+
+    const assignKeys = applyHierarchySync((doc, collection, i, { sublevelPrefix, idPrefix }={}) => {
+      if ( !isPlainObject(doc) ) return;
+      if ( !doc._id ) {
+        doc._id = randomID();
+        changed = true;
+      }
+      const sublevel = keyJoin(sublevelPrefix, collection);
+      const id = keyJoin(idPrefix, doc._id);
+      if ( !doc._key ) {
+        doc._key = `!${sublevel}!${id}`;
+        changed = true;
+      }
+      return { sublevelPrefix: sublevel, idPrefix: id };
+    });
+    assignKeys(doc, docCollection);
+    // The Document is modified further as it is packed, so a copy is kept until the pack has been written.
+    if ( changed && writeBack ) assigned.push({ doc: structuredClone(doc), collection: docCollection, file });
+    return changed;
+  };
+
+  const write = () => {
+    for ( const { doc, collection, file } of assigned ) writeGeneratedKeys(doc, collection, file, format);
+  };
+
+  return { resolveCollection, assign, write };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Write the IDs and keys generated for a reassembled Document back to the source files it was read from, including
+ * the files of any embedded Documents written to their own files. Only fields missing from a source file are written,
+ * and the rest of its contents are left as they were. The keys of embedded Documents written to their own files are
+ * derived from their parent's when packing, so only their IDs are written.
+ * @param {object} doc                      The reassembled Document.
+ * @param {DocumentCollection} collection   The Document's collection.
+ * @param {string} file                     The Document's source file.
+ * @param {SerializationFormat} format      The format the source files are in.
+ * @param {object} [options]
+ * @param {boolean} [options.embedded=false]  Whether the file contains an embedded Document.
+ */
+function writeGeneratedKeys(doc, collection, file, format, { embedded=false }={}) {
+  const fields = embedded ? ["_id"] : ["_id", "_key", "folder"];
+  const copyKeys = (source, doc, collection) => {
+    if ( !isPlainObject(source) || !isPlainObject(doc) ) return false;
+    let changed = false;
+    for ( const field of fields ) {
+      if ( (source[field] !== undefined) || (doc[field] === undefined) ) continue;
+      source[field] = doc[field];
+      changed = true;
+    }
+    for ( const [embeddedCollectionName, type] of Object.entries(HIERARCHY[collection] ?? {}) ) {
+      const entries = source[embeddedCollectionName];
+      const embeddedDocs = doc[embeddedCollectionName];
+      if ( !Array.isArray(type) ) {
+        changed = copyKeys(entries, embeddedDocs, embeddedCollectionName) || changed;
+        continue;
+      }
+      if ( !Array.isArray(entries) || !Array.isArray(embeddedDocs) ) continue;
+      entries.forEach((entry, i) => {
+        if ( typeof entry !== "string" ) {
+          changed = copyKeys(entry, embeddedDocs[i], embeddedCollectionName) || changed;
+          return;
+        }
+        writeGeneratedKeys(embeddedDocs[i], embeddedCollectionName, path.join(path.dirname(file), entry), format, {
+          embedded: true
+        });
+      });
+    }
+    return changed;
+  };
+  const source = readSourceFile(file, format);
+  if ( copyKeys(source, doc, collection) ) {
+    fs.writeFileSync(file, (getFileFormat(file, format) ?? format).stringify(source));
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Read the ID of the Folder that a directory was extracted from, if any.
+ * @param {string} dir                      The directory.
+ * @param {SerializationFormat} format      The format the source files are in.
+ * @returns {string|void}
+ */
+function readFolderId(dir, format) {
+  for ( const ext of format.extensions ) {
+    const file = path.join(dir, `_Folder${ext}`);
+    if ( !fs.existsSync(file) ) continue;
+    try {
+      return readSourceFile(file, format)?._id;
+    } catch {
+      return;
+    }
+  }
+}
+
+/* -------------------------------------------- */
+
 /**
  * Flushes the log of the given database to create compressed binary tables.
  * @param {ClassicLevel} db The database to compress.
@@ -448,92 +1004,382 @@ async function compactClassicLevel(db) {
 }
 
 /* -------------------------------------------- */
-/*  Extracting                                  */
+/*  Validating                                  */
 /* -------------------------------------------- */
 
 /**
- * Extract the contents of a compendium pack into individual source files for each primary Document.
- * @param {string} src   The source compendium pack. This should be a directory for LevelDB pack, or a .db file for
- *                       NeDB packs.
- * @param {string} dest  The directory to write the extracted files into.
- * @param {ExtractOptions} [options]
- * @returns {Promise<void>}
+ * @typedef {object} ValidationProblem
+ * @property {string} file                 The source file the problem was found in.
+ * @property {"error"|"warning"} severity  Errors will cause the pack to fail to compile, or to be compiled incorrectly.
+ *                                         Warnings indicate entries that will be skipped.
+ * @property {string} message              A description of the problem.
  */
-export async function extractPack(src, dest, {
-  nedb=false, yaml=false, yamlOptions={}, jsonOptions={}, log=false, documentType, collection, clean, folders,
-  expandAdventures, omitVolatile, transformEntry, transformName, transformSerialized, transformFolderName
-}={}) {
-  if ( nedb && (path.extname(src) !== ".db") ) {
-    throw new Error("The nedb option was passed to extractPacks, but the target pack does not have a .db extension.");
-  }
+
+/**
+ * Validate a directory of source files without writing to any database.
+ * @param {string} src  The directory containing the source files.
+ * @param {Partial<CompileOptions>} [options]
+ * @param {DocumentType} [options.documentType]      The type of Documents stored in the pack. If provided, primary
+ *                                                   Documents of any other type, except Folders, are reported.
+ * @param {DocumentCollection} [options.collection]  Can be used instead of documentType if known.
+ * @returns {Promise<ValidationProblem[]>}  Every problem that was found.
+ */
+export async function validateSource(src, { yaml=false, format, recursive=false, documentType, collection }={}) {
+  format = resolveFormat({ format, yaml });
   collection ??= TYPE_COLLECTION_MAP[documentType];
-  if ( nedb && !collection ) {
-    throw new Error("For NeDB operations, a documentType or collection must be provided.");
-  }
-  const tmp = path.join(os.tmpdir(), "foundryvtt-cli",
-    `${Date.now()}-${performance.now().toString().replace(".", "-")}`);
-  // Create the output directory if it doesn't exist already.
-  fs.mkdirSync(dest, { recursive: true });
-  fs.mkdirSync(tmp, { recursive: true });
-  try {
-    if ( nedb ) {
-      await extractNedb(src, tmp, {
-        yaml, yamlOptions, jsonOptions, omitVolatile, log, collection, transformEntry, transformName,
-        transformSerialized, existing: dest
+  const problems = [];
+  const seenKeys = new Map();
+  const referencedFiles = new Set();
+  const unkeyed = [];
+
+  for ( const file of findSourceFiles(src, { format, recursive }) ) {
+    const report = (message, severity="error") => problems.push({ file, severity, message });
+    const doc = validateSourceFile(file, report, format);
+    if ( !doc ) continue;
+    if ( !("_key" in doc) ) {
+      unkeyed.push(file);
+      continue;
+    }
+
+    // Validate the key.
+    const key = doc._key;
+    const docCollection = validateKey(doc, report);
+    if ( seenKeys.has(key) ) {
+      report(`Duplicate _key '${key}', which is also used by ${path.relative(src, seenKeys.get(key))}.`);
+    }
+    else seenKeys.set(key, file);
+    if ( !docCollection ) continue;
+    if ( collection && (docCollection !== collection) && (docCollection !== "folders") ) {
+      report(`The _key '${key}' is for ${COLLECTION_TYPE_MAP[docCollection]} Documents, but the pack stores `
+        + `${COLLECTION_TYPE_MAP[collection]} Documents.`);
+    }
+
+    // Validate the Document and its embedded Documents.
+    const references = { format, report, files: referencedFiles };
+    if ( !validateReferences(doc, docCollection, path.dirname(file), references) ) continue;
+    validateDocument(doc, docCollection, report, { sublevel: docCollection, id: doc._id });
+    if ( docCollection !== "adventures" ) continue;
+
+    // Validate the Documents contained in an Adventure, which may be stored in their own files.
+    for ( const embeddedCollectionName of ADVENTURE_DOCS ) {
+      const entries = doc[embeddedCollectionName] ?? [];
+      if ( !Array.isArray(entries) ) {
+        report(`The Adventure's ${embeddedCollectionName} must be an array.`);
+        continue;
+      }
+      entries.forEach((entry, i) => {
+        if ( typeof entry !== "string" ) {
+          validateDocument(entry, embeddedCollectionName, report, { path: `${embeddedCollectionName}[${i}]` });
+          return;
+        }
+        const entryFile = path.join(path.dirname(file), entry);
+        referencedFiles.add(entryFile);
+        if ( !fs.existsSync(entryFile) ) {
+          report(`The Adventure references '${entry}', which does not exist.`);
+          return;
+        }
+        const entryReport = (message, severity="error") => problems.push({ file: entryFile, severity, message });
+        const embeddedDoc = validateSourceFile(entryFile, entryReport, format);
+        if ( !embeddedDoc ) return;
+        const entrySrc = path.dirname(entryFile);
+        if ( !validateReferences(embeddedDoc, embeddedCollectionName, entrySrc, {
+          format, report: entryReport, files: referencedFiles
+        }) ) return;
+        validateDocument(embeddedDoc, embeddedCollectionName, entryReport);
       });
     }
-    await extractClassicLevel(src, tmp, {
-      yaml, log, yamlOptions, jsonOptions, folders, expandAdventures, omitVolatile, transformEntry, transformName,
-      transformSerialized, transformFolderName, existing: dest
-    });
-    if ( clean ) fs.rmSync(dest, { force: true, recursive: true, maxRetries: 10 });
-    fs.cpSync(tmp, dest, { force: true, recursive: true });
-  } finally {
-    fs.rmSync(tmp, { force: true, recursive: true, maxRetries: 10 });
   }
+
+  // Files that are not referenced by another Document and have no key will not be packed.
+  for ( const file of unkeyed ) {
+    if ( referencedFiles.has(file) ) continue;
+    problems.push({ file, severity: "warning", message: "The file has no _key and will be skipped when packing." });
+  }
+  return problems;
 }
 
 /* -------------------------------------------- */
 
 /**
- * Extract a NeDB compendium pack into individual source files for each primary Document.
- * @param {string} pack                The source compendium pack.
- * @param {string} dest                The root output directory.
- * @param {Partial<ExtractOptions>} [options]
- * @param {string} [options.existing]  The location of existing serialized Documents.
- * @returns {Promise<void>}
+ * @callback ValidationReporter
+ * @param {string} message                   A description of the problem.
+ * @param {"error"|"warning"} [severity]     The severity of the problem.
  */
-async function extractNedb(pack, dest, {
-  yaml, yamlOptions, jsonOptions, omitVolatile, log, collection, transformEntry, transformName, transformSerialized,
-  existing
+
+/**
+ * Parse a source file for validation, and ensure that it contains a Document.
+ * @param {string} file                  The source file.
+ * @param {ValidationReporter} report    The function to report problems to.
+ * @param {SerializationFormat} [format]  The format the source files are expected to be in.
+ * @returns {object|void}                The parsed Document, if it could be parsed.
+ */
+function validateSourceFile(file, report, format) {
+  let doc;
+  try {
+    doc = readSourceFile(file, format);
+  } catch ( err ) {
+    report(`Failed to parse: ${err.message}`);
+    return;
+  }
+  if ( !isPlainObject(doc) ) {
+    report("The file does not contain a Document.");
+    return;
+  }
+  return doc;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Validate a primary Document's key.
+ * @param {object} doc                  The Document.
+ * @param {ValidationReporter} report   The function to report problems to.
+ * @returns {string|void}               The Document's collection, if the key is valid.
+ */
+function validateKey(doc, report) {
+  const key = doc._key;
+  if ( typeof key !== "string" ) {
+    report("The _key must be a string.");
+    return;
+  }
+  const [prefix, collection, id, ...rest] = key.split("!");
+  if ( prefix || !collection || !id || rest.length ) {
+    report(`Malformed _key '${key}'. Keys must be of the form '!<collection>!<id>'.`);
+    return;
+  }
+  if ( collection.includes(".") ) {
+    report(`The _key '${key}' belongs to an embedded Document, but the file contains a primary Document.`);
+    return;
+  }
+  if ( !(collection in COLLECTION_TYPE_MAP) ) {
+    report(`The _key '${key}' refers to an unknown Document collection '${collection}'.`);
+    return;
+  }
+  if ( id !== doc._id ) report(`The _key '${key}' does not match the _id '${doc._id}'.`);
+  return collection;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Reassemble a Document from any embedded Document and content files it references, reporting any that cannot be
+ * read.
+ * @param {object} doc                            The Document.
+ * @param {DocumentCollection} collection         The Document's collection.
+ * @param {string} src                            The directory containing the Document's source file.
+ * @param {object} options
+ * @param {SerializationFormat} options.format    The format the source files are in.
+ * @param {ValidationReporter} options.report     The function to report problems to.
+ * @param {Set<string>} [options.files]           A set to record the paths of any embedded Document files read in.
+ * @returns {boolean}                             Whether the Document could be reassembled.
+ */
+function validateReferences(doc, collection, src, { format, report, files }) {
+  try {
+    reconstructDocument(doc, collection, src, { format, files });
+    return true;
+  } catch ( err ) {
+    report(err.message);
+    return false;
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Recursively validate the IDs and keys of a Document and its embedded Documents.
+ * @param {object} doc                    The Document.
+ * @param {string} collection             The Document's collection.
+ * @param {ValidationReporter} report     The function to report problems to.
+ * @param {object} [options]
+ * @param {string} [options.sublevel]     The Document's sublevel, if its embedded keys should be validated.
+ * @param {string} [options.id]           The Document's full ID, if its embedded keys should be validated.
+ * @param {string} [options.path]         The field path to the Document, used in reporting.
+ */
+function validateDocument(doc, collection, report, { sublevel, id, path: fieldPath }={}) {
+  const label = fieldPath ? `The embedded Document at ${fieldPath}` : "The Document";
+  if ( !isPlainObject(doc) ) {
+    report(`${label} is not an object.`);
+    return;
+  }
+  if ( !isValidId(doc._id) ) {
+    report(`${label} has an invalid _id '${doc._id}'. IDs must be 16 alphanumeric characters.`);
+  }
+
+  for ( const [embeddedCollectionName, type] of Object.entries(HIERARCHY[collection] ?? {}) ) {
+    const embeddedValue = doc[embeddedCollectionName];
+    if ( (embeddedValue === undefined) || (embeddedValue === null) ) continue;
+    const embeddedSublevel = sublevel ? keyJoin(sublevel, embeddedCollectionName) : undefined;
+    const embeddedPath = keyJoin(fieldPath, embeddedCollectionName);
+    const validateEmbedded = (embeddedDoc, docPath) => {
+      const embeddedId = id ? keyJoin(id, embeddedDoc?._id) : undefined;
+      const expected = sublevel ? `!${embeddedSublevel}!${embeddedId}` : undefined;
+      if ( expected && embeddedDoc?._key && (embeddedDoc._key !== expected) ) {
+        report(`The embedded Document at ${docPath} has _key '${embeddedDoc._key}', but '${expected}' was expected.`);
+      }
+      validateDocument(embeddedDoc, embeddedCollectionName, report, {
+        sublevel: embeddedSublevel, id: embeddedId, path: docPath
+      });
+    };
+
+    if ( !Array.isArray(type) ) {
+      validateEmbedded(embeddedValue, embeddedPath);
+      continue;
+    }
+    if ( !Array.isArray(embeddedValue) ) {
+      report(`The embedded collection at ${embeddedPath} must be an array.`);
+      continue;
+    }
+    const seen = new Set();
+    embeddedValue.forEach((embeddedDoc, i) => {
+      const docPath = `${embeddedPath}[${i}]`;
+      validateEmbedded(embeddedDoc, docPath);
+      if ( !embeddedDoc?._id ) return;
+      if ( seen.has(embeddedDoc._id) ) {
+        report(`The embedded Document at ${docPath} has a duplicate _id '${embeddedDoc._id}'.`);
+      }
+      seen.add(embeddedDoc._id);
+    });
+  }
+}
+
+/* -------------------------------------------- */
+/*  Extracting                                  */
+/* -------------------------------------------- */
+
+/**
+ * Extract the contents of a compendium pack into individual source files for each primary Document.
+ * @param {string} src   The source compendium pack. This should be a directory for LevelDB pack, or a .db file for
+ *                       NeDB packs.
+ * @param {string} dest  The directory to write the extracted files into.
+ * @param {ExtractOptions} [options]
+ * @returns {Promise<OperationResult>}  The files written, removed, or left unchanged are relative to the destination
+ *                                       directory.
+ */
+export async function extractPack(src, dest, {
+  nedb=false, yaml=false, format, yamlOptions={}, jsonOptions={}, formatOptions, log=false, logger=console, onProgress,
+  dryRun=false, documentType, collection, clean, folders, expandAdventures, expandContent, expandEmbedded, omitVolatile,
+  canonical, transformEntry, transformName, transformSerialized, transformFolderName
 }={}) {
-  // Load the NeDB file.
-  const db = new Datastore({ filename: pack, autoload: true });
+  if ( nedb && (path.extname(src) !== ".db") ) {
+    throw new Error("The nedb option was passed to extractPacks, but the target pack does not have a .db extension.");
+  }
+  format = resolveFormat({ format, yaml });
+  formatOptions ??= { json: jsonOptions, yaml: yamlOptions }[format.name];
+  collection ??= TYPE_COLLECTION_MAP[documentType];
+  if ( nedb && !collection ) {
+    throw new Error("For NeDB operations, a documentType or collection must be provided.");
+  }
+  const start = performance.now();
+  const skipped = [];
+  if ( !log ) logger = null;
+  const report = createReporter({ logger, onProgress, skipped });
+  const tmp = path.join(os.tmpdir(), "foundryvtt-cli",
+    `${Date.now()}-${performance.now().toString().replace(".", "-")}`);
+  // Create the output directory if it doesn't exist already.
+  if ( !dryRun ) fs.mkdirSync(dest, { recursive: true });
+  fs.mkdirSync(tmp, { recursive: true });
+  try {
+    // When performing a dry run, the extracted files are only written to the temporary directory, so are not reported.
+    const extractReport = event => {
+      if ( !dryRun || (event.type !== "wrote") ) report(event);
+    };
+    if ( nedb ) {
+      await extractNedb(src, tmp, {
+        format, formatOptions, expandContent, expandEmbedded, omitVolatile, canonical, report: extractReport,
+        collection, transformEntry, transformName, transformSerialized, existing: dest
+      });
+    } else {
+      await extractClassicLevel(src, tmp, {
+        format, report: extractReport, formatOptions, folders, expandAdventures, expandContent, expandEmbedded,
+        omitVolatile, canonical, transformEntry, transformName, transformSerialized, transformFolderName, existing: dest
+      });
+    }
+    const result = { ...planExtraction(tmp, dest, { clean }), skipped, dryRun };
+    if ( dryRun ) {
+      if ( logger ) logPlan(result, logger);
+    } else {
+      if ( clean ) fs.rmSync(dest, { force: true, recursive: true, maxRetries: 10 });
+      fs.cpSync(tmp, dest, { force: true, recursive: true });
+    }
+    result.duration = performance.now() - start;
+    return result;
+  } finally {
+    fs.rmSync(tmp, { force: true, recursive: true, maxRetries: 10 });
+  }
+}
 
-  const unpackDoc = applyHierarchy((doc, collection, { sublevelPrefix, idPrefix }={}) => {
-    const sublevel = keyJoin(sublevelPrefix, collection);
-    const id = keyJoin(idPrefix, doc._id);
-    doc._key = `!${sublevel}!${id}`;
-    return { sublevelPrefix: sublevel, idPrefix: id };
-  });
+/* -------------------------------------------- */
+
+/**
+ * Determine which files would be written, removed, or left unchanged by copying extracted files to their destination.
+ * @param {string} src                 The directory containing the extracted files.
+ * @param {string} dest                The destination directory.
+ * @param {object} [options]
+ * @param {boolean} [options.clean]    Whether the destination directory would be deleted first.
+ * @returns {Pick<OperationResult, "written"|"removed"|"unchanged">}
+ */
+function planExtraction(src, dest, { clean }={}) {
+  const plan = { written: [], removed: [], unchanged: [] };
+  const extracted = new Set(listFiles(src));
+  for ( const file of extracted ) {
+    const existing = path.join(dest, file);
+    if ( fs.existsSync(existing) && fs.readFileSync(existing).equals(fs.readFileSync(path.join(src, file))) ) {
+      plan.unchanged.push(file);
+    }
+    else plan.written.push(file);
+  }
+  if ( clean && fs.existsSync(dest) ) plan.removed = listFiles(dest).filter(file => !extracted.has(file));
+  return plan;
+}
+
+/* -------------------------------------------- */
 
+/**
+ * Extract a NeDB compendium pack into individual source files for each primary Document.
+ * @param {string} pack                The source compendium pack.
+ * @param {string} dest                The root output directory.
+ * @param {Partial<ExtractOptions>} [options]
+ * @param {string} [options.existing]          The location of existing serialized Documents.
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
+ * @returns {Promise<void>}
+ */
+async function extractNedb(pack, dest, {
+  format, formatOptions, expandContent, expandEmbedded, omitVolatile, canonical, report, collection, transformEntry,
+  transformName, transformSerialized, existing
+}={}) {
   // Iterate over all entries in the DB, writing them as source files.
-  const docs = await db.find({});
-  for ( const doc of docs ) {
-    await unpackDoc(doc, collection);
-    const documentType = COLLECTION_TYPE_MAP[collection];
-    const context = { documentType };
-    if ( await transformEntry?.(doc, context) === false ) continue;
-    let name = await transformName?.(doc, context);
-    if ( !name ) {
-      name = `${doc.name ? `${getSafeFilename(doc.name)}_${doc._id}` : doc._id}.${yaml ? "yml" : "json"}`;
-    }
-    const filename = path.join(dest, name);
-    await serializeDocument(checkVolatile(doc, name, { collection, omitVolatile, existing, yaml }), filename, {
-      yaml, yamlOptions, jsonOptions, transformSerialized
-    });
-    if ( log ) console.log(`Wrote ${chalk.blue(name)}`);
+  const docs = readNedbDocuments(pack);
+  report?.({ type: "start", total: docs.length });
+  for ( const [i, doc] of docs.entries() ) {
+    report?.({ type: "progress", current: i, total: docs.length });
+    try {
+      await assignKeys(doc, collection);
+      const documentType = COLLECTION_TYPE_MAP[collection];
+      const context = { documentType };
+      if ( await transformEntry?.(doc, context) === false ) {
+        report?.({ type: "skipped", key: doc._key, reason: "transformEntry" });
+        continue;
+      }
+      if ( canonical ) orderEmbeddedDocuments(doc, collection);
+      let name = await transformName?.(doc, context);
+      if ( !name ) {
+        name = `${doc.name ? `${getSafeFilename(doc.name)}_${doc._id}` : doc._id}${format.extension}`;
+      }
+      const filename = path.join(dest, name);
+      if ( expandEmbedded ) await extractEmbedded(doc, collection, filename, {
+        dest, format, formatOptions, expandContent, omitVolatile, canonical, existing, report, transformSerialized
+      });
+      if ( expandContent ) extractContent(doc, collection, filename, { dest, report });
+      await serializeDocument(checkVolatile(doc, name, { collection, omitVolatile, existing, format }), filename, {
+        format, formatOptions, canonical, transformSerialized
+      });
+      report?.({ type: "wrote", file: name, key: doc._key });
+    } catch ( err ) {
+      report?.({ type: "error", key: doc._key ?? doc._id, error: err });
+      throw err;
+    }
   }
+  report?.({ type: "progress", current: docs.length, total: docs.length });
 }
 
 /* -------------------------------------------- */
@@ -543,67 +1389,79 @@ async function extractNedb(pack, dest, {
  * @param {string} pack                The source compendium pack.
  * @param {string} dest                The root output directory.
  * @param {Partial<ExtractOptions>} [options]
- * @param {string} [options.existing]  The location of existing serialized Documents.
+ * @param {string} [options.existing]          The location of existing serialized Documents.
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
  * @returns {Promise<void>}
  */
 async function extractClassicLevel(pack, dest, {
-  yaml, yamlOptions, jsonOptions, log, folders, expandAdventures, omitVolatile, transformEntry, transformName,
-  transformFolderName, transformSerialized, existing
+  format, formatOptions, report, folders, expandAdventures, expandContent, expandEmbedded, omitVolatile, canonical,
+  transformEntry, transformName, transformFolderName, transformSerialized, existing
 }={}) {
   // Load the directory as a ClassicLevel DB.
   const db = new ClassicLevel(pack, { keyEncoding: "utf8", valueEncoding: "json", createIfMissing: false });
-
-  // Build up the folder structure
-  let folderMap = new Map();
-  if ( folders ) {
-    const keys = (await db.keys().all()).filter(k => k.startsWith("!folders"));
-    folderMap = await buildFolderMap(await db.getMany(keys), { transformFolderName });
-  }
-
-  const unpackDoc = applyHierarchy(async (doc, collection, { sublevelPrefix, idPrefix }={}) => {
-    const sublevel = keyJoin(sublevelPrefix, collection);
-    const id = keyJoin(idPrefix, doc._id);
-    doc._key = `!${sublevel}!${id}`;
-    await mapHierarchy(doc, collection, (embeddedId, embeddedCollectionName) => {
-      return db.get(`!${sublevel}.${embeddedCollectionName}!${id}.${embeddedId}`);
-    });
-    return { sublevelPrefix: sublevel, idPrefix: id };
-  });
-
-  // Iterate over all entries in the DB, writing them as source files.
-  for await ( const [key, doc] of db.iterator() ) {
-    const [, collection, id] = key.split("!");
-    if ( collection.includes(".") ) continue; // This is not a primary document, skip it.
-    await unpackDoc(doc, collection);
-    const documentType = COLLECTION_TYPE_MAP[collection];
-    const context = { documentType };
-    if ( await transformEntry?.(doc, context) === false ) continue;
-    if ( key.startsWith("!adventures") && expandAdventures ) {
-      await extractAdventure(doc, dest, { folderMap }, {
-        yaml, yamlOptions, jsonOptions, log, folders, omitVolatile, transformEntry, transformName, transformSerialized,
-        existing
-      });
-      continue;
+  try {
+    // Build up the folder structure
+    let folderMap = new Map();
+    if ( folders ) {
+      const keys = (await db.keys().all()).filter(k => k.startsWith("!folders"));
+      folderMap = await buildFolderMap(await db.getMany(keys), { transformFolderName });
     }
-    const folder = folderMap.get(doc.folder)?.path;
-    let name = await transformName?.(doc, { documentType, folder });
-    if ( !name ) {
-      if ( key.startsWith("!folders") && folderMap.has(doc._id) ) {
-        const folder = folderMap.get(doc._id);
-        name = path.join(folder.name, `_Folder.${yaml ? "yml" : "json"}`);
-      } else {
-        name = `${doc.name ? `${getSafeFilename(doc.name)}_${id}` : key}.${yaml ? "yml" : "json"}`;
+
+    // Count the primary Documents so that progress can be reported.
+    const total = (await db.keys().all()).filter(k => !k.split("!")[1].includes(".")).length;
+    report?.({ type: "start", total });
+
+    // Iterate over all entries in the DB, writing them as source files.
+    let current = 0;
+    for await ( const [key, doc] of db.iterator() ) {
+      const [, collection, id] = key.split("!");
+      if ( collection.includes(".") ) continue; // This is not a primary document, skip it.
+      report?.({ type: "progress", current: current++, total });
+      try {
+        await reassembleDocument(db, doc, collection);
+        const documentType = COLLECTION_TYPE_MAP[collection];
+        const context = { documentType };
+        if ( await transformEntry?.(doc, context) === false ) {
+          report?.({ type: "skipped", key, reason: "transformEntry" });
+          continue;
+        }
+        if ( canonical ) orderEmbeddedDocuments(doc, collection);
+        if ( key.startsWith("!adventures") && expandAdventures ) {
+          await extractAdventure(doc, dest, { folderMap }, {
+            format, formatOptions, report, folders, expandContent, expandEmbedded, omitVolatile, canonical,
+            transformEntry, transformName, transformSerialized, existing
+          });
+          continue;
+        }
+        const folder = folderMap.get(doc.folder)?.path;
+        let name = await transformName?.(doc, { documentType, folder });
+        if ( !name ) {
+          if ( key.startsWith("!folders") && folderMap.has(doc._id) ) {
+            const folder = folderMap.get(doc._id);
+            name = path.join(folder.name, `_Folder${format.extension}`);
+          } else {
+            name = `${doc.name ? `${getSafeFilename(doc.name)}_${id}` : key}${format.extension}`;
+          }
+          if ( folder ) name = path.join(folder, name);
+        }
+        const filename = path.join(dest, name);
+        if ( expandEmbedded ) await extractEmbedded(doc, collection, filename, {
+          dest, format, formatOptions, expandContent, omitVolatile, canonical, existing, report, transformSerialized
+        });
+        if ( expandContent ) extractContent(doc, collection, filename, { dest, report });
+        await serializeDocument(checkVolatile(doc, name, { collection, omitVolatile, existing, format }), filename, {
+          format, formatOptions, canonical, transformSerialized
+        });
+        report?.({ type: "wrote", file: name, key });
+      } catch ( err ) {
+        report?.({ type: "error", key, error: err });
+        throw err;
       }
-      if ( folder ) name = path.join(folder, name);
     }
-    const filename = path.join(dest, name);
-    await serializeDocument(checkVolatile(doc, name, { collection, omitVolatile, existing, yaml }), filename, {
-      yaml, yamlOptions, jsonOptions, transformSerialized
-    });
-    if ( log ) console.log(`Wrote ${chalk.blue(name)}`);
+    report?.({ type: "progress", current: total, total });
+  } finally {
+    await db.close();
   }
-
-  await db.close();
 }
 
 /* -------------------------------------------- */
@@ -616,10 +1474,11 @@ async function extractClassicLevel(pack, dest, {
  * @param {Map<string, FolderDescriptor>} [adventureOptions.folderMap]  Folder hierarchy.
  * @param {Partial<ExtractOptions>} [extractOptions]  Options to configure serialization behavior.
  * @param {string} [extractOptions.existing]          The location of existing serialized Documents.
+ * @param {ProgressReporter} [extractOptions.report]  The function to report progress to.
  */
 async function extractAdventure(doc, dest, { folderMap }={}, {
-  yaml, yamlOptions, jsonOptions, log, folders, omitVolatile, transformEntry, transformName, transformSerialized,
-  transformFolderName, existing
+  format, formatOptions, report, folders, expandContent, expandEmbedded, omitVolatile, canonical, transformEntry,
+  transformName, transformSerialized, transformFolderName, existing
 }={}) {
   let adventureFolder;
 
@@ -629,9 +1488,9 @@ async function extractAdventure(doc, dest, { folderMap }={}, {
   adventureFolder = folders ? path.join(folder ?? "", `${getSafeFilename(doc.name)}_${doc._id}`) : folder;
   if ( !name ) {
     if ( folders ) {
-      name = path.join(adventureFolder, `_Adventure.${yaml ? "yml" : "json"}`);
+      name = path.join(adventureFolder, `_Adventure${format.extension}`);
     } else {
-      name = `${doc.name ? `${getSafeFilename(doc.name)}_${doc._id}` : doc._id}.${yaml ? "yml" : "json"}`;
+      name = `${doc.name ? `${getSafeFilename(doc.name)}_${doc._id}` : doc._id}${format.extension}`;
       if ( folder ) name = path.join(folder, name);
     }
   }
@@ -648,16 +1507,19 @@ async function extractAdventure(doc, dest, { folderMap }={}, {
     const documentType = COLLECTION_TYPE_MAP[embeddedCollectionName];
     const typeSuffix = folders ? "" : `_${documentType}`;
     for ( const embeddedDoc of doc[embeddedCollectionName] ?? [] ) {
-      if ( await transformEntry?.(embeddedDoc, { ...context, documentType }) === false ) continue;
+      if ( await transformEntry?.(embeddedDoc, { ...context, documentType }) === false ) {
+        report?.({ type: "skipped", id: embeddedDoc._id, reason: "transformEntry" });
+        continue;
+      }
       let embeddedFolder = path.join(adventureFolder ?? "", embeddedFolderMap.get(embeddedDoc.folder)?.path ?? "");
       let embeddedName = await transformName?.(embeddedDoc, { ...context, documentType, folder: embeddedFolder });
       if ( !embeddedName ) {
         const { name, _id: id } = embeddedDoc;
         if ( (embeddedCollectionName === "folders") && embeddedFolderMap.has(embeddedDoc._id) ) {
           embeddedFolder = adventureFolder;
-          embeddedName = path.join(embeddedFolderMap.get(embeddedDoc._id).path, `_Folder.${yaml ? "yml" : "json"}`);
+          embeddedName = path.join(embeddedFolderMap.get(embeddedDoc._id).path, `_Folder${format.extension}`);
         } else {
-          embeddedName = `${name ? `${getSafeFilename(name)}${typeSuffix}_${id}` : doc._id}.${yaml ? "yml" : "json"}`;
+          embeddedName = `${name ? `${getSafeFilename(name)}${typeSuffix}_${id}` : doc._id}${format.extension}`;
         }
         if ( embeddedFolder ) embeddedName = path.join(embeddedFolder, embeddedName);
       }
@@ -665,23 +1527,1576 @@ async function extractAdventure(doc, dest, { folderMap }={}, {
       const embeddedPath =
         adventureFolder ? path.relative(adventureFolder, embeddedName) : path.basename(embeddedName);
       paths.push(path.posix.join(...embeddedPath.split(path.sep)));
+      if ( expandEmbedded ) await extractEmbedded(embeddedDoc, embeddedCollectionName, filename, {
+        dest, format, formatOptions, expandContent, omitVolatile, canonical, existing, report, transformSerialized
+      });
+      if ( expandContent ) extractContent(embeddedDoc, embeddedCollectionName, filename, { dest, report });
       await serializeDocument(checkVolatile(embeddedDoc, embeddedName, {
-        omitVolatile, existing, yaml,
+        omitVolatile, existing, format,
         collection: embeddedCollectionName
       }), filename, {
-        yaml, yamlOptions, jsonOptions, transformSerialized
+        format, formatOptions, canonical, transformSerialized
+      });
+      report?.({ type: "wrote", file: embeddedName, id: embeddedDoc._id });
+    }
+    doc[embeddedCollectionName] = paths;
+  }
+
+  // Write the adventure itself
+  const filename = path.join(dest, name);
+  await serializeDocument(checkVolatile(doc, name, { omitVolatile, existing, format }), filename, {
+    format, formatOptions, canonical, transformSerialized
+  });
+  report?.({ type: "wrote", file: name, key: doc._key });
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Write each Document in a Document's embedded collections to its own file, replacing them with the paths to those
+ * files. The files are written to a folder with the same name as the Document's file, without its extension, with a
+ * sub-folder for each embedded collection. Embedded Documents are split recursively.
+ * @param {object} doc                               The Document being operated on.
+ * @param {DocumentCollection} collection            The Document's collection.
+ * @param {string} filename                          The path the Document's source file will be written to.
+ * @param {Partial<ExtractOptions>} [options]        Options to configure serialization behavior.
+ * @param {string} [options.dest]                    The root output directory.
+ * @param {string} [options.existing]                The location of existing serialized Documents.
+ * @param {ProgressReporter} [options.report]        The function to report progress to.
+ * @returns {Promise<void>}
+ */
+async function extractEmbedded(doc, collection, filename, options={}) {
+  const {
+    dest, format, formatOptions, expandContent, omitVolatile, canonical, existing, report, transformSerialized
+  } = options;
+  const folder = filename.slice(0, filename.length - path.extname(filename).length);
+  for ( const [embeddedCollectionName, type] of Object.entries(HIERARCHY[collection] ?? {}) ) {
+    const entries = doc[embeddedCollectionName];
+    if ( !Array.isArray(type) || !Array.isArray(entries) ) continue;
+    const paths = [];
+    for ( const embeddedDoc of entries ) {
+      const { name, _id: id } = embeddedDoc;
+      const embeddedFilename = path.join(folder, embeddedCollectionName,
+        `${name ? `${getSafeFilename(name)}_${id}` : id}${format.extension}`);
+      const embeddedName = path.relative(dest, embeddedFilename);
+      paths.push(path.posix.join(...path.relative(path.dirname(filename), embeddedFilename).split(path.sep)));
+
+      // The key is derived from the parent Document's when the file is reconstructed.
+      delete embeddedDoc._key;
+      await extractEmbedded(embeddedDoc, embeddedCollectionName, embeddedFilename, options);
+      if ( expandContent ) extractContent(embeddedDoc, embeddedCollectionName, embeddedFilename, { dest, report });
+      await serializeDocument(checkVolatile(embeddedDoc, embeddedName, {
+        omitVolatile, existing, format,
+        collection: embeddedCollectionName
+      }), embeddedFilename, {
+        format, formatOptions, canonical, transformSerialized
       });
-      if ( log ) console.log(`Wrote ${chalk.blue(embeddedName)}`);
+      report?.({ type: "wrote", file: embeddedName, id });
     }
     doc[embeddedCollectionName] = paths;
   }
+}
+
+/* -------------------------------------------- */
+/*  Diffing                                     */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {PackageOptions} DiffOptions
+ * @property {boolean} [recursive=false]        Whether to recurse into child directories to locate source files,
+ *                                              otherwise only source files located in the root directory will be
+ *                                              used.
+ * @property {boolean} [omitVolatile=false]     Ignore changes to volatile fields. Currently, _stats.createdTime,
+ *                                              _stats.modifiedTime, _stats.lastModifiedBy, _stats.systemVersion, and
+ *                                              _stats.coreVersion are considered volatile.
+ * @property {DocumentType} [documentType]      Required only for NeDB packs in order to generate a correct key.
+ * @property {DocumentCollection} [collection]  Required only for NeDB packs in order to generate a correct key. Can
+ *                                              be used instead of documentType if known.
+ */
+
+/**
+ * @typedef {object} FieldChange
+ * @property {string} path                          The path to the changed field.
+ * @property {"added"|"removed"|"changed"} type     The type of change.
+ * @property {any} [from]                           The value currently in the pack.
+ * @property {any} [to]                             The value in the source files.
+ */
+
+/**
+ * @typedef {object} EntryDiff
+ * @property {string} key                  The entry's key.
+ * @property {string} [name]               The entry's name, if it has one.
+ * @property {FieldChange[]} [changes]     For modified entries, the fields that have changed.
+ */
+
+/**
+ * @typedef {object} PackDiff
+ * @property {EntryDiff[]} added     Entries that exist in the source files but not in the pack.
+ * @property {EntryDiff[]} removed   Entries that exist in the pack but not in the source files.
+ * @property {EntryDiff[]} modified  Entries that exist in both, but have different contents.
+ * @property {number} unchanged      The number of entries that are identical in both.
+ */
+
+/**
+ * Compare a directory of source files against the compendium pack they would be compiled into. Both sides are
+ * flattened into individual entries for each Document and embedded Document, in the same way that they would be
+ * stored in a LevelDB pack.
+ * @param {string} src   The directory containing the source files.
+ * @param {string} pack  The compendium pack. This should be a directory for LevelDB packs, or a .db file for NeDB
+ *                       packs.
+ * @param {DiffOptions} [options]
+ * @returns {Promise<PackDiff>}
+ */
+export async function diffPack(src, pack, {
+  nedb=false, yaml=false, format, recursive=false, omitVolatile=false, documentType, collection, transformEntry
+}={}) {
+  if ( nedb && (path.extname(pack) !== ".db") ) {
+    throw new Error("The nedb option was passed to diffPack, but the target pack does not have a .db extension.");
+  }
+  format = resolveFormat({ format, yaml });
+  collection ??= TYPE_COLLECTION_MAP[documentType];
+  if ( nedb && !collection ) {
+    throw new Error("For NeDB operations, a documentType or collection must be provided.");
+  }
+
+  const source = await readSourceEntries(findSourceFiles(src, { format, recursive }), { nedb, format, transformEntry });
+  const existing = nedb ? await readNedbEntries(pack, collection) : await readClassicLevelEntries(pack);
+
+  /** @type {PackDiff} */
+  const diff = { added: [], removed: [], modified: [], unchanged: 0 };
+  for ( const [key, value] of source ) {
+    if ( !existing.has(key) ) {
+      diff.added.push({ key, name: value.name });
+      continue;
+    }
+    alignEmbeddedOrder(value, existing.get(key), getKeyCollection(key));
+    const changes = diffFields(existing.get(key), value, { omitVolatile });
+    if ( changes.length ) diff.modified.push({ key, name: value.name, changes });
+    else diff.unchanged++;
+  }
+  for ( const [key, value] of existing ) {
+    if ( !source.has(key) ) diff.removed.push({ key, name: value.name });
+  }
+  for ( const entries of [diff.added, diff.removed, diff.modified] ) entries.sort((a, b) => a.key.localeCompare(b.key));
+  return diff;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Read a set of source files and flatten them into entries, in the same way that they would be compiled.
+ * @param {string[]} files  The source files.
+ * @param {Partial<PackageOptions>} [options]
+ * @returns {Promise<Map<string, object>>}  The flattened entries, keyed by their LevelDB keys.
+ */
+async function readSourceEntries(files, { nedb, format, transformEntry }={}) {
+  const entries = new Map();
+  for ( const file of files ) {
+    const doc = readSourceFile(file, format);
+    if ( !doc._key ) continue;
+    if ( doc._key.startsWith("!adventures") ) {
+      await reconstructAdventure(path.dirname(file), doc, { format, transformEntry });
+    }
+    const [, collection] = doc._key.split("!");
+    reconstructDocument(doc, collection, path.dirname(file), { format });
+    // NeDB does not support folders.
+    if ( nedb && (collection === "folders") ) continue;
+    const documentType = COLLECTION_TYPE_MAP[collection];
+    if ( await transformEntry?.(doc, { documentType }) === false ) continue;
+    await flattenDocument(doc, collection, entries);
+  }
+  return entries;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Read every entry in a LevelDB pack.
+ * @param {string} pack  The compendium pack.
+ * @returns {Promise<Map<string, object>>}  The entries, keyed by their LevelDB keys.
+ */
+async function readClassicLevelEntries(pack) {
+  // A directory without a CURRENT file has not been initialized as a LevelDB database.
+  if ( !fs.existsSync(path.join(pack, "CURRENT")) ) return new Map();
+  const db = new ClassicLevel(pack, { keyEncoding: "utf8", valueEncoding: "json", createIfMissing: false });
+  try {
+    return new Map(await db.iterator().all());
+  } finally {
+    await db.close();
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Read every Document in a NeDB pack and flatten it into entries.
+ * @param {string} pack                       The compendium pack.
+ * @param {DocumentCollection} collection     The pack's Document collection.
+ * @returns {Promise<Map<string, object>>}    The entries, keyed by their equivalent LevelDB keys.
+ */
+async function readNedbEntries(pack, collection) {
+  const entries = new Map();
+  if ( !fs.existsSync(pack) ) return entries;
+  for ( const doc of readNedbDocuments(pack) ) {
+    await assignKeys(doc, collection);
+    await flattenDocument(doc, collection, entries);
+  }
+  return entries;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the differences between two entries.
+ * @param {any} a                           The existing entry.
+ * @param {any} b                           The candidate entry.
+ * @param {object} [options]
+ * @param {boolean} [options.omitVolatile]  Ignore changes to volatile fields.
+ * @param {string} [options.prefix]         The path to the fields being compared.
+ * @returns {FieldChange[]}
+ */
+function diffFields(a, b, { omitVolatile, prefix }={}) {
+  const changes = [];
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for ( const k of keys ) {
+    const fieldPath = keyJoin(prefix, k);
+    if ( omitVolatile && (prefix === "_stats") && VOLATILE_FIELDS.includes(k) ) continue;
+    if ( !(k in b) ) changes.push({ path: fieldPath, type: "removed", from: a[k] });
+    else if ( !(k in a) ) changes.push({ path: fieldPath, type: "added", to: b[k] });
+    else if ( isPlainObject(a[k]) && isPlainObject(b[k]) ) {
+      changes.push(...diffFields(a[k], b[k], { omitVolatile, prefix: fieldPath }));
+    }
+    else if ( !testEquality(a[k], b[k]) ) changes.push({ path: fieldPath, type: "changed", from: a[k], to: b[k] });
+  }
+  return changes;
+}
+
+/* -------------------------------------------- */
+/*  Converting                                  */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {PackageOptions} ConvertOptions
+ * @property {boolean} [dryRun=false]  Read and transform the source pack without writing to the target pack.
+ * @property {string} [documentType]   The type of Documents stored in the NeDB pack. Required when converting from
+ *                                     NeDB, and used to check the Documents being written when converting to NeDB.
+ */
+
+/**
+ * Convert a compendium pack from NeDB to LevelDB, or vice-versa, without writing any intermediate source files. The
+ * direction of the conversion is determined by whether the source pack has a .db extension. Embedded Documents are
+ * flattened into their own entries when converting to LevelDB, and reassembled into their parents when converting to
+ * NeDB. Folders cannot be stored in NeDB packs, so they are skipped, and the Documents in them are removed from them.
+ * @param {string} src   The source compendium pack.
+ * @param {string} dest  The target compendium pack. This should be a directory when converting to LevelDB, or a .db
+ *                       file when converting to NeDB.
+ * @param {ConvertOptions} [options]
+ * @returns {Promise<CompileResult>}
+ */
+export async function convertPack(src, dest, {
+  log=false, logger=console, onProgress, dryRun=false, documentType, transformEntry
+}={}) {
+  const toNedb = path.extname(src) !== ".db";
+  if ( toNedb === (path.extname(dest) !== ".db") ) {
+    throw new Error("Exactly one of the source and target packs must be a NeDB pack with a .db extension.");
+  }
+  const collection = TYPE_COLLECTION_MAP[documentType];
+  if ( documentType && !collection ) throw new Error(`Unknown document type '${documentType}'.`);
+  if ( !toNedb && !collection ) throw new Error("A documentType must be provided to convert from a NeDB pack.");
+  if ( path.resolve(src) === path.resolve(dest) ) throw new Error("The source and target packs must be different.");
+
+  const start = performance.now();
+  const skipped = [];
+  if ( !log ) logger = null;
+  const report = createReporter({ logger, onProgress, skipped });
+  const result = toNedb
+    ? await convertClassicLevelToNedb(src, dest, { logger, report, dryRun, collection, transformEntry })
+    : await convertNedbToClassicLevel(src, dest, { logger, report, dryRun, collection, transformEntry });
+  result.skipped = skipped;
+  result.duration = performance.now() - start;
+  return result;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Convert a NeDB compendium pack into a LevelDB compendium pack.
+ * @param {string} src   The source NeDB pack.
+ * @param {string} dest  The target LevelDB pack.
+ * @param {Partial<ConvertOptions>} [options]
+ * @param {ProgressReporter} [options.report]      The function to report progress to.
+ * @param {DocumentCollection} options.collection  The source pack's Document collection.
+ * @returns {Promise<Omit<CompileResult, "skipped"|"duration">>}
+ */
+async function convertNedbToClassicLevel(src, dest, { logger, report, dryRun, collection, transformEntry }={}) {
+  const docs = readNedbDocuments(src);
+  const documentType = COLLECTION_TYPE_MAP[collection];
+  const entries = new Map();
+  report({ type: "start", total: docs.length });
+  for ( const [i, doc] of docs.entries() ) {
+    await assignKeys(doc, collection);
+    const key = doc._key;
+    if ( await transformEntry?.(doc, { documentType }) === false ) {
+      report({ type: "skipped", key, reason: "transformEntry" });
+    } else {
+      await flattenDocument(doc, collection, entries);
+      if ( !dryRun ) report({ type: "packed", key, id: doc._id, name: doc.name });
+    }
+    report({ type: "progress", current: i + 1, total: docs.length });
+  }
+  return { packed: Array.from(entries.keys()), ...await writeClassicLevel(dest, entries, { logger, report, dryRun }) };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Convert a LevelDB compendium pack into a NeDB compendium pack.
+ * @param {string} src   The source LevelDB pack.
+ * @param {string} dest  The target NeDB pack.
+ * @param {Partial<ConvertOptions>} [options]
+ * @param {ProgressReporter} [options.report]        The function to report progress to.
+ * @param {DocumentCollection} [options.collection]  The Document collection expected in the source pack.
+ * @returns {Promise<Omit<CompileResult, "skipped"|"duration">>}
+ */
+async function convertClassicLevelToNedb(src, dest, { logger, report, dryRun, collection, transformEntry }={}) {
+  if ( !fs.existsSync(path.join(src, "CURRENT")) ) throw new Error(`The LevelDB pack '${src}' does not exist.`);
+  const db = new ClassicLevel(src, { keyEncoding: "utf8", valueEncoding: "json", createIfMissing: false });
+  const docs = new Map();
+  const packed = [];
+  const folders = new Set();
+  const stripKeys = applyHierarchySync(doc => {
+    packed.push(doc._key);
+    delete doc._key;
+  });
+  try {
+    const keys = (await db.keys().all()).filter(k => !k.split("!")[1].includes("."));
+    report({ type: "start", total: keys.length });
+    for ( const [i, key] of keys.entries() ) {
+      report({ type: "progress", current: i, total: keys.length });
+      const [, docCollection] = key.split("!");
+      if ( docCollection === "folders" ) {
+        folders.add(key.split("!")[2]);
+        report({ type: "skipped", key, reason: "unsupported" });
+        continue;
+      }
+      // NeDB packs can only contain a single type of Document.
+      collection ??= docCollection;
+      if ( docCollection !== collection ) {
+        throw new Error(`The entry '${key}' cannot be stored in a NeDB pack of '${collection}' Documents.`);
+      }
+      const doc = await db.get(key);
+      await reassembleDocument(db, doc, docCollection);
+      if ( await transformEntry?.(doc, { documentType: COLLECTION_TYPE_MAP[docCollection] }) === false ) {
+        report({ type: "skipped", key, reason: "transformEntry" });
+        continue;
+      }
+      stripKeys(doc, docCollection);
+      docs.set(key, doc);
+      if ( !dryRun ) report({ type: "packed", key, id: doc._id, name: doc.name });
+    }
+    report({ type: "progress", current: keys.length, total: keys.length });
+  } finally {
+    await db.close();
+  }
+
+  // Remove the Documents from the folders that were not converted.
+  for ( const doc of docs.values() ) {
+    if ( folders.has(doc.folder) ) doc.folder = null;
+  }
+  return { packed, ...await writeNedb(dest, docs, { logger, report, dryRun }) };
+}
+
+/* -------------------------------------------- */
+/*  Documents                                   */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} DocumentOptions
+ * @property {boolean} [nedb=false]                Whether the pack is a NeDB database, otherwise a LevelDB database is
+ *                                                 assumed.
+ * @property {DocumentType} [documentType]         The type of Documents stored in a NeDB pack. Required to list the
+ *                                                 Documents in a NeDB pack, or to write a Document without a _key.
+ * @property {DocumentCollection} [collection]     Can be used instead of documentType if known.
+ * @property {boolean} [dryRun=false]              When writing or deleting, check that the Document can be written, or
+ *                                                 that the pack contains it, without modifying the pack.
+ */
+
+/**
+ * @typedef {object} DocumentSummary
+ * @property {string} key     The Document's LevelDB key, or its equivalent for NeDB packs.
+ * @property {string} id      The Document's ID.
+ * @property {string} [name]  The Document's name.
+ */
+
+/**
+ * Read a single primary Document from a compendium pack, with its embedded Documents reassembled into it.
+ * @param {string} pack                 The compendium pack.
+ * @param {string} key                  The Document's LevelDB key, such as !items!<id>. For NeDB packs, the equivalent
+ *                                      key is used.
+ * @param {DocumentOptions} [options]
+ * @returns {Promise<object|void>}      The Document, with LevelDB keys assigned to it and its embedded Documents, or
+ *                                      undefined if the pack does not contain it.
+ */
+export async function readDocument(pack, key, { nedb=false }={}) {
+  const { collection, id } = parseDocumentKey(key);
+  if ( nedb ) {
+    const doc = readNedbDocuments(pack).find(doc => doc._id === id);
+    if ( !doc ) return;
+    await assignKeys(doc, collection);
+    return doc;
+  }
+
+  const db = await openClassicLevel(pack);
+  try {
+    const doc = await db.get(key);
+    if ( doc ) await reassembleDocument(db, doc, collection);
+    return doc;
+  } finally {
+    await db.close();
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Write a single primary Document to a compendium pack, replacing any existing Document with the same ID. For LevelDB
+ * packs, its embedded Documents are flattened into their own entries, and any entries of embedded Documents that the
+ * existing Document had but this one does not are removed. The Document and any of its embedded Documents without an
+ * _id are assigned a random one. As when compiling, the changes are made to a copy of the pack that then replaces it.
+ * @param {string} pack                 The compendium pack. It is created if it does not exist.
+ * @param {object} doc                  The Document. Its collection is determined by its _key, if it has one.
+ * @param {DocumentOptions} [options]
+ * @returns {Promise<string>}           The Document's LevelDB key, or its equivalent for NeDB packs.
+ */
+export async function writeDocument(pack, doc, { nedb=false, documentType, collection, dryRun=false }={}) {
+  const [written] = await writeDocuments(pack, [doc], { nedb, documentType, collection, dryRun });
+  return written;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Write a set of primary Documents to a compendium pack, replacing any existing Documents with the same IDs, in a
+ * single copy of the pack.
+ * @param {string} pack                 The compendium pack. It is created if it does not exist.
+ * @param {object[]} docs               The Documents. Their collections are determined by their _keys, if they have
+ *                                      them.
+ * @param {DocumentOptions} [options]
+ * @returns {Promise<string[]>}         The Documents' LevelDB keys, or their equivalents for NeDB packs.
+ */
+async function writeDocuments(pack, docs, { nedb=false, documentType, collection, dryRun=false }={}) {
+  const prepared = [];
+  for ( let doc of docs ) {
+    const [, keyCollection] = doc._key?.split("!") ?? [];
+    const docCollection = keyCollection ?? collection ?? TYPE_COLLECTION_MAP[documentType];
+    if ( !docCollection ) {
+      throw new Error("Unable to determine the collection of the Document. Provide a documentType.");
+    }
+    doc = structuredClone(doc);
+    assignIds(doc, docCollection);
+    await assignKeys(doc, docCollection);
+    prepared.push({ doc, key: doc._key, collection: docCollection });
+  }
+  if ( dryRun ) return prepared.map(({ key }) => key);
+
+  if ( nedb ) {
+    const ids = new Set();
+    for ( const { doc, collection } of prepared ) {
+      ids.add(doc._id);
+      applyHierarchySync(doc => {
+        delete doc._key;
+      })(doc, collection);
+    }
+    const existing = fs.existsSync(pack) ? readNedbDocuments(pack).filter(({ _id }) => !ids.has(_id)) : [];
+    await replaceNedb(pack, [...existing, ...prepared.map(({ doc }) => doc)]);
+    return prepared.map(({ key }) => key);
+  }
+
+  const entries = new Map();
+  for ( const { doc, collection } of prepared ) await flattenDocument(doc, collection, entries);
+  await replaceClassicLevel(pack, async db => {
+    const batch = db.batch();
+
+    // Remove the entries of any embedded Documents that the existing Documents had but these do not.
+    for ( const { key, collection } of prepared ) {
+      for ( const existingKey of (await readDocumentEntries(db, key, collection)).keys() ) {
+        if ( !entries.has(existingKey) ) batch.del(existingKey);
+      }
+    }
+    for ( const [entryKey, value] of entries ) batch.put(entryKey, value);
+    await batch.write();
+  });
+  return prepared.map(({ key }) => key);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Delete a single primary Document, and its embedded Documents, from a compendium pack. As when compiling, the changes
+ * are made to a copy of the pack that then replaces it.
+ * @param {string} pack                 The compendium pack.
+ * @param {string} key                  The Document's LevelDB key, such as !items!<id>. For NeDB packs, the equivalent
+ *                                      key is used.
+ * @param {DocumentOptions} [options]
+ * @returns {Promise<boolean>}          Whether the pack contained the Document.
+ */
+export async function deleteDocument(pack, key, { nedb=false, dryRun=false }={}) {
+  const { collection, id } = parseDocumentKey(key);
+  if ( nedb ) {
+    if ( !fs.existsSync(pack) ) throw new Error(`The NeDB pack '${pack}' does not exist.`);
+    const docs = readNedbDocuments(pack);
+    const remaining = docs.filter(({ _id }) => _id !== id);
+    if ( remaining.length === docs.length ) return false;
+    if ( !dryRun ) await replaceNedb(pack, remaining);
+    return true;
+  }
+
+  // Only copy the pack if it contains the Document.
+  const db = await openClassicLevel(pack);
+  try {
+    if ( !await db.get(key) ) return false;
+  } finally {
+    await db.close();
+  }
+  if ( dryRun ) return true;
+  await replaceClassicLevel(pack, async db => {
+    const existing = await readDocumentEntries(db, key, collection);
+    await db.batch(Array.from(existing.keys(), key => ({ type: "del", key })));
+  });
+  return true;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * List the primary Documents in a compendium pack.
+ * @param {string} pack                 The compendium pack.
+ * @param {DocumentOptions} [options]
+ * @returns {Promise<DocumentSummary[]>}
+ */
+export async function listDocuments(pack, { nedb=false, documentType, collection }={}) {
+  if ( nedb ) {
+    collection ??= TYPE_COLLECTION_MAP[documentType];
+    if ( !collection ) throw new Error("A documentType must be provided to list the Documents in a NeDB pack.");
+    return readNedbDocuments(pack).map(({ _id, name }) => ({ key: `!${collection}!${_id}`, id: _id, name }));
+  }
+
+  const db = await openClassicLevel(pack);
+  try {
+    const keys = (await db.keys().all()).filter(k => !k.split("!")[1].includes("."));
+    const docs = await db.getMany(keys);
+    return keys.map((key, i) => ({ key, id: docs[i]?._id, name: docs[i]?.name }));
+  } finally {
+    await db.close();
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Split a primary Document's LevelDB key into its collection and ID.
+ * @param {string} key  The key.
+ * @returns {{collection: DocumentCollection, id: string}}
+ */
+function parseDocumentKey(key) {
+  const [, collection, id] = key?.match(/^!([^!.]+)!([^!.]+)$/) ?? [];
+  if ( !collection ) {
+    throw new Error(`'${key}' is not the key of a primary Document. Keys take the form !<collection>!<id>.`);
+  }
+  return { collection, id };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Open an existing LevelDB pack.
+ * @param {string} pack  The compendium pack.
+ * @returns {Promise<ClassicLevel>}
+ */
+async function openClassicLevel(pack) {
+  if ( !fs.existsSync(path.join(pack, "CURRENT")) ) throw new Error(`The LevelDB pack '${pack}' does not exist.`);
+  const db = new ClassicLevel(pack, { keyEncoding: "utf8", valueEncoding: "json", createIfMissing: false });
+  await db.open();
+  return db;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Read the entries that make up a primary Document stored in a LevelDB pack, including those of its embedded
+ * Documents.
+ * @param {ClassicLevel} db                 The LevelDB pack.
+ * @param {string} key                      The Document's key.
+ * @param {DocumentCollection} collection   The Document's collection.
+ * @returns {Promise<Map<string, object>>}  The entries, or an empty map if the pack does not contain the Document.
+ */
+async function readDocumentEntries(db, key, collection) {
+  const entries = new Map();
+  const doc = await db.get(key);
+  if ( !doc ) return entries;
+  await reassembleDocument(db, doc, collection);
+  await flattenDocument(doc, collection, entries);
+  return entries;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Recursively assign a random ID to a Document and any of its embedded Documents that do not have one.
+ * @type {HierarchyApplySyncCallback}
+ */
+const assignIds = applyHierarchySync(doc => {
+  if ( isPlainObject(doc) ) doc._id ||= randomID();
+});
+
+/* -------------------------------------------- */
+/*  Querying                                    */
+/* -------------------------------------------- */
+
+/**
+ * @callback DocumentFilter
+ * @param {object} doc    A primary Document, with its embedded Documents reassembled into it.
+ * @returns {boolean}     Whether the Document matches.
+ */
+
+/**
+ * @typedef {PackageOptions} QueryOptions
+ * @property {boolean} [source=false]           Query a directory of source files, rather than a compendium pack.
+ * @property {boolean} [recursive=false]        When querying source files, recurse into child directories.
+ * @property {DocumentType} [documentType]      The type of Documents stored in a NeDB pack. Required to query NeDB
+ *                                              packs.
+ * @property {DocumentCollection} [collection]  Can be used instead of documentType if known.
+ * @property {string|DocumentFilter|Array<string|DocumentFilter>} [where]  The filters that a Document must pass to
+ *                                              match. Either functions, or expressions of the form
+ *                                              <field><operator><value>, <field>, or !<field>. See
+ *                                              parseQueryExpression.
+ * @property {string[]} [fields]                The paths of fields to include the values of in each match.
+ */
+
+/**
+ * @typedef {object} QueryMatch
+ * @property {string} key                     The Document's LevelDB key, or its equivalent for NeDB packs.
+ * @property {string} id                      The Document's ID.
+ * @property {string} [name]                  The Document's name.
+ * @property {string} [file]                  The source file the Document was read from, when querying source files.
+ * @property {Record<string, any>} fields     The values of the requested fields, keyed by their paths. A path that
+ *                                            passes through an array, such as an embedded collection, resolves to
+ *                                            an array of every value found.
+ */
+
+/**
+ * Find the primary Documents in a compendium pack, or a directory of source files, that match a set of filters.
+ * Documents are filtered with their embedded Documents reassembled into them, so that filters can refer to fields of
+ * embedded Documents.
+ * @param {string} src              The compendium pack, or the directory of source files.
+ * @param {QueryOptions} [options]
+ * @returns {Promise<QueryMatch[]>}
+ */
+export async function queryPack(src, {
+  nedb=false, yaml=false, format, source=false, recursive=false, documentType, collection, where=[], fields=[]
+}={}) {
+  format = resolveFormat({ format, yaml });
+  collection ??= TYPE_COLLECTION_MAP[documentType];
+  if ( nedb && !source && !collection ) throw new Error("A documentType must be provided to query a NeDB pack.");
+  const filters = [where].flat().map(filter => typeof filter === "function" ? filter : parseQueryExpression(filter));
+  const matches = [];
+  for await ( const { doc, file } of readDocuments(src, { nedb, source, format, recursive, collection }) ) {
+    if ( !filters.every(filter => filter(doc)) ) continue;
+    const match = { key: doc._key, id: doc._id, name: doc.name };
+    if ( file ) match.file = file;
+    match.fields = {};
+    for ( const field of fields ) {
+      const { values, multiple } = resolveFieldPath(doc, field);
+      match.fields[field] = multiple ? values : values[0];
+    }
+    matches.push(match);
+  }
+  return matches;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The comparisons that query expressions can make, keyed by their operator. A Document matches an expression if any of
+ * the values at the expression's path pass the comparison, except for the negated operators, which match if none of
+ * the values pass the comparison of their positive counterpart.
+ * @type {Record<string, (value: any, operand: any) => boolean>}
+ */
+const QUERY_OPERATORS = {
+  "=": (value, operand) => {
+    if ( (value === null) || (operand === null) ) return value === operand;
+    return testEquality(value, operand);
+  },
+  ">": (value, operand) => (typeof value === typeof operand) && (value > operand),
+  ">=": (value, operand) => (typeof value === typeof operand) && (value >= operand),
+  "<": (value, operand) => (typeof value === typeof operand) && (value < operand),
+  "<=": (value, operand) => (typeof value === typeof operand) && (value <= operand),
+  "~": (value, operand) => (value !== null) && (typeof value !== "object") && operand.test(String(value))
+};
+
+/**
+ * Parse a query expression into a filter function. Expressions take one of the following forms:
+ * - <field><operator><value>, where the operator is one of =, !=, >, >=, <, <=, ~, or !~. The value is parsed as JSON
+ *   if possible, otherwise it is treated as a string. The ~ operator tests values against a case-insensitive regular
+ *   expression.
+ * - <field>, which matches Documents where the field has a value other than null.
+ * - !<field>, which matches Documents where it does not.
+ * Fields are dot-separated paths. A path that passes through an array, such as an embedded collection, refers to the
+ * field of every element in it.
+ * @param {string} expression   The expression.
+ * @returns {DocumentFilter}
+ */
+function parseQueryExpression(expression) {
+  const match = String(expression).match(/^\s*(!?)([\w.@-]+)\s*(?:(==|!=|>=|<=|!~|=|>|<|~)\s*(.*?))?\s*$/);
+  if ( !match || (match[1] && match[3]) ) {
+    throw new Error(`Invalid query expression '${expression}'. Expressions take the form <field><operator><value>, `
+      + "<field>, or !<field>.");
+  }
+  const [, not, field, operator, raw] = match;
+
+  // Existence checks.
+  if ( !operator ) {
+    return doc => {
+      const exists = resolveFieldPath(doc, field).values.some(value => (value !== undefined) && (value !== null));
+      return not ? !exists : exists;
+    };
+  }
+
+  const negated = (operator === "!=") || (operator === "!~");
+  const compare = QUERY_OPERATORS[{ "==": "=", "!=": "=", "!~": "~" }[operator] ?? operator];
+  let operand;
+  if ( operator.endsWith("~") ) operand = new RegExp(raw, "i");
+  else {
+    try {
+      operand = JSON.parse(raw);
+    } catch {
+      operand = raw;
+    }
+  }
+  return doc => {
+    // Compare against the elements of arrays of values too, such as lists of tags.
+    const { values } = resolveFieldPath(doc, field);
+    const found = values.flatMap(value => Array.isArray(value) ? [value, ...value] : value)
+      .some(value => compare(value, operand));
+    return negated ? !found : found;
+  };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Resolve the values at a dot-separated field path. Arrays encountered along the path, such as embedded collections,
+ * are traversed element by element, unless the next part of the path is a numeric index.
+ * @param {object} doc      The object to resolve the path in.
+ * @param {string} field    The path.
+ * @returns {{values: any[], multiple: boolean}}  The values found, and whether the path passed through an array.
+ */
+function resolveFieldPath(doc, field) {
+  let values = [doc];
+  let multiple = false;
+  for ( const part of field.split(".") ) {
+    const next = [];
+    for ( const value of values ) {
+      if ( (value === null) || (typeof value !== "object") ) continue;
+      if ( Array.isArray(value) && !/^\d+$/.test(part) ) {
+        multiple = true;
+        for ( const element of value ) {
+          if ( (element !== null) && (typeof element === "object") && (part in element) ) next.push(element[part]);
+        }
+      }
+      else if ( part in value ) next.push(value[part]);
+    }
+    values = next;
+  }
+  return { values, multiple };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Iterate over the primary Documents in a compendium pack, or a directory of source files, with their embedded
+ * Documents reassembled into them and LevelDB keys assigned.
+ * @param {string} src          The compendium pack, or the directory of source files.
+ * @param {object} [options]
+ * @param {boolean} [options.nedb=false]        Whether the pack is a NeDB database.
+ * @param {boolean} [options.source=false]      Whether src is a directory of source files.
+ * @param {SerializationFormat} [options.format]  The format of the source files.
+ * @param {boolean} [options.recursive=false]   Whether to recurse into child directories of a source directory.
+ * @param {DocumentCollection} [options.collection]  The collection of the Documents in a NeDB pack.
+ * @returns {AsyncGenerator<{doc: object, collection: DocumentCollection, file?: string}>}
+ */
+async function* readDocuments(src, { nedb=false, source=false, format, recursive=false, collection }={}) {
+  if ( source ) {
+    for ( const file of findSourceFiles(src, { format, recursive }) ) {
+      const doc = readSourceFile(file, format);
+      if ( !doc?._key ) continue;
+      const [, docCollection] = doc._key.split("!");
+      if ( docCollection === "adventures" ) await reconstructAdventure(path.dirname(file), doc, { format });
+      reconstructDocument(doc, docCollection, path.dirname(file), { format });
+      yield { doc, collection: docCollection, file };
+    }
+    return;
+  }
+
+  if ( nedb ) {
+    for ( const doc of readNedbDocuments(src) ) {
+      await assignKeys(doc, collection);
+      yield { doc, collection };
+    }
+    return;
+  }
+
+  const db = await openClassicLevel(src);
+  try {
+    const keys = (await db.keys().all()).filter(k => !k.split("!")[1].includes("."));
+    for ( const key of keys ) {
+      const [, docCollection] = key.split("!");
+      const doc = await db.get(key);
+      await reassembleDocument(db, doc, docCollection);
+      yield { doc, collection: docCollection };
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+/* -------------------------------------------- */
+/*  Inspecting                                  */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} InspectOptions
+ * @property {boolean} [nedb=false]             Whether the pack is a NeDB database, otherwise a LevelDB database is
+ *                                              assumed.
+ * @property {DocumentType} [documentType]      The type of Documents stored in a NeDB pack. Required to inspect NeDB
+ *                                              packs.
+ * @property {DocumentCollection} [collection]  Can be used instead of documentType if known.
+ * @property {number} [largest=5]               The number of largest Documents to report.
+ */
+
+/**
+ * @typedef {object} FolderNode
+ * @property {string} id                The Folder's ID.
+ * @property {string} name              The Folder's name.
+ * @property {string} [type]            The type of Document the Folder contains.
+ * @property {number} documents         The number of primary Documents directly inside the Folder.
+ * @property {FolderNode[]} children    The Folder's sub-folders.
+ */
+
+/**
+ * @typedef {object} PackInspection
+ * @property {number} size                  The size of the pack on disk, in bytes.
+ * @property {number} documents             The number of primary Documents in the pack, including Folders.
+ * @property {Record<string, number>} collections  The number of Documents in each primary and embedded collection,
+ *                                          keyed by the collection's LevelDB sublevel, such as items or
+ *                                          actors.items.
+ * @property {Record<string, Record<string, number>>} types  The number of Documents of each type in each collection
+ *                                          that has typed Documents.
+ * @property {FolderNode[]} folders         The pack's top-level Folders.
+ * @property {{key: string, name?: string, size: number}[]} largest  The largest primary Documents, by the size of
+ *                                          their serialized data including their embedded Documents, in bytes.
+ * @property {Record<string, number>} coreVersions    The number of Documents with each _stats.coreVersion.
+ * @property {Record<string, number>} systemVersions  The number of Documents with each _stats.systemVersion.
+ */
+
+/**
+ * Summarize the contents of a compendium pack without modifying it. Document counts, types, and versions include
+ * embedded Documents.
+ * @param {string} pack                 The compendium pack.
+ * @param {InspectOptions} [options]
+ * @returns {Promise<PackInspection>}
+ */
+export async function inspectPack(pack, { nedb=false, documentType, collection, largest=5 }={}) {
+  collection ??= TYPE_COLLECTION_MAP[documentType];
+  if ( nedb && !collection ) throw new Error("A documentType must be provided to inspect a NeDB pack.");
+  const result = {
+    size: 0, documents: 0, collections: {}, types: {}, folders: [], largest: [], coreVersions: {}, systemVersions: {}
+  };
+  const increment = (counts, key) => {
+    counts[key] = (counts[key] ?? 0) + 1;
+  };
+  const tally = applyHierarchySync(doc => {
+    if ( !isPlainObject(doc) ) return;
+    const [, sublevel] = doc._key.split("!");
+    increment(result.collections, sublevel);
+    if ( typeof doc.type === "string" ) increment(result.types[sublevel] ??= {}, doc.type);
+    if ( doc._stats?.coreVersion ) increment(result.coreVersions, doc._stats.coreVersion);
+    if ( doc._stats?.systemVersion ) increment(result.systemVersions, doc._stats.systemVersion);
+  });
+
+  const folders = [];
+  const foldered = {};
+  const sizes = [];
+  for await ( const { doc, collection: docCollection } of readDocuments(pack, { nedb, collection }) ) {
+    result.documents++;
+    tally(doc, docCollection);
+    if ( docCollection === "folders" ) folders.push(doc);
+    else if ( doc.folder ) increment(foldered, doc.folder);
+    sizes.push({ key: doc._key, name: doc.name, size: Buffer.byteLength(JSON.stringify(doc)) });
+  }
+  result.largest = sizes.sort((a, b) => b.size - a.size).slice(0, largest);
+
+  // Build the Folder tree.
+  const nodes = new Map(folders.map(({ _id, name, type }) => {
+    return [_id, { id: _id, name, type, documents: foldered[_id] ?? 0, children: [] }];
+  }));
+  for ( const { _id, folder } of folders ) {
+    const siblings = nodes.get(folder)?.children ?? result.folders;
+    siblings.push(nodes.get(_id));
+  }
+
+  // Determine the size on disk.
+  const files = nedb ? [pack] : listClassicLevelFiles(pack).map(file => path.join(pack, file));
+  for ( const file of files ) result.size += fs.statSync(file).size;
+  return result;
+}
+
+/* -------------------------------------------- */
+/*  Links                                       */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} LinkPack
+ * @property {string} id                    The pack's ID, in the form <package>.<name>, as used in the UUIDs of its
+ *                                          Documents.
+ * @property {string} path                  The path to the compendium pack, or to its directory of source files.
+ * @property {boolean} [nedb=false]         Whether the pack is a NeDB database.
+ * @property {boolean} [source=false]       Whether the path is a directory of source files.
+ * @property {DocumentType} [documentType]  The type of Documents stored in a NeDB pack. Required for NeDB packs.
+ * @property {boolean} [check=true]         Whether to check the links in this pack's Documents. Packs that are not
+ *                                          checked are only used to resolve links from other packs.
+ * @property {string} [sourcePath]          The directory of the pack's source files, if it is a compendium pack.
+ *                                          They are rewritten along with the pack when rekeying, renaming, or
+ *                                          bundling assets.
+ */
+
+/**
+ * @typedef {object} LinkCheckOptions
+ * @property {boolean} [yaml=false]         Whether source files are YAML. Deprecated in favor of format.
+ * @property {string} [format]              The format of source files.
+ * @property {boolean} [recursive=false]    Whether to recurse into child directories of source directories.
+ */
+
+/**
+ * @typedef {object} CompendiumLink
+ * @property {string} pack                  The ID of the pack containing the link.
+ * @property {string} key                   The key of the primary Document containing the link.
+ * @property {string} [name]                The name of the primary Document containing the link.
+ * @property {string} [file]                The source file the Document was read from, if it was read from source.
+ * @property {string} field                 The path to the field containing the link.
+ * @property {string} uuid                  The linked UUID.
+ * @property {string} [reason]             Why the link could not be resolved. "package" if the linked package is
+ *                                          not one the packs belong to, "pack" if the linked pack does not exist in
+ *                                          its package, or "document" if the linked Document does not exist in its
+ *                                          pack.
+ */
+
+/**
+ * @typedef {object} LinkCheckResult
+ * @property {number} links                 The number of compendium links found.
+ * @property {CompendiumLink[]} dangling    The links to packs or Documents that do not exist.
+ * @property {CompendiumLink[]} unresolved  The links into packages that none of the packs belong to, which could not
+ *                                          be resolved.
+ */
+
+/**
+ * The Document types of embedded collections, by the collection of their parent.
+ * @type {Record<string, Record<string, string>>}
+ */
+const EMBEDDED_TYPES = {
+  actors: { items: "Item", effects: "ActiveEffect" },
+  cards: { cards: "Card" },
+  combats: { combatants: "Combatant", groups: "CombatantGroup" },
+  items: { effects: "ActiveEffect" },
+  journal: { pages: "JournalEntryPage", categories: "JournalEntryCategory" },
+  playlists: { sounds: "PlaylistSound" },
+  regions: { behaviors: "RegionBehavior" },
+  tables: { results: "TableResult" },
+  scenes: {
+    drawings: "Drawing", tokens: "Token", levels: "Level", lights: "AmbientLight", notes: "Note", regions: "Region",
+    sounds: "AmbientSound", templates: "MeasuredTemplate", tiles: "Tile", walls: "Wall"
+  }
+};
+
+/**
+ * Patterns that match compendium links within a string. The first capture group of each is the linked UUID, without
+ * its Compendium prefix.
+ * @type {RegExp[]}
+ */
+const LINK_PATTERNS = [
+  /@UUID\[Compendium\.([^\]]+)\]/g,
+  /@Compendium\[([^\]]+)\]/g,
+  /^Compendium\.([^\s.]+\.[^\s.]+\.\S+)$/g
+];
+
+/**
+ * Find the links to compendium Documents in a set of packs, and report those that cannot be resolved against the
+ * packs. Links are found in enriched text, of the form @UUID[Compendium...] or @Compendium[...], and in fields whose
+ * whole value is a compendium UUID, such as _stats.compendiumSource. Links whose target Document is identified by
+ * name, as the legacy @Compendium syntax allows, are resolved by name.
+ * @param {LinkPack[]} packs               The packs to check, and the packs to resolve links against.
+ * @param {LinkCheckOptions} [options]
+ * @returns {Promise<LinkCheckResult>}
+ */
+export async function checkLinks(packs, { yaml=false, format, recursive=false }={}) {
+  format = resolveFormat({ format, yaml });
+  const packages = new Set(packs.map(({ id }) => id.split(".")[0]));
+  const indices = new Map();
+  const links = [];
+
+  for ( const { id, path: src, nedb=false, source=false, documentType, check=true } of packs ) {
+    const collection = TYPE_COLLECTION_MAP[documentType];
+    if ( nedb && !source && !collection ) throw new Error(`A documentType must be provided for the NeDB pack '${id}'.`);
+    const index = { uuids: new Set(), names: new Set() };
+    indices.set(id, index);
+    for await ( const { doc, collection: docCollection, file } of readDocuments(src, {
+      nedb, source, format, recursive, collection
+    }) ) {
+      indexDocument(index, doc, docCollection);
+      if ( !check ) continue;
+      for ( const { field, value } of iterateStrings(doc) ) {
+        for ( const { uuid, legacy } of findLinks(value) ) {
+          const link = { pack: id, key: doc._key, name: doc.name, field, uuid, legacy };
+          if ( file ) link.file = file;
+          links.push(link);
+        }
+      }
+    }
+  }
+
+  const result = { links: links.length, dangling: [], unresolved: [] };
+  for ( const { legacy, ...link } of links ) {
+    const [, packageId, packName, ...parts] = link.uuid.split("#")[0].split(".");
+    const index = indices.get(`${packageId}.${packName}`);
+    const target = parts.join(".");
+    if ( !packages.has(packageId) ) link.reason = "package";
+    else if ( !index ) link.reason = "pack";
+    else if ( !index.uuids.has(target) && !(legacy && index.names.has(target)) ) link.reason = "document";
+    else continue;
+    result[link.reason === "package" ? "unresolved" : "dangling"].push(link);
+  }
+  return result;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Record the UUIDs, relative to its pack, that a Document and its embedded Documents can be linked to by. Each is
+ * recorded in the current form, that includes the primary Document's type, and the legacy form, that omits it.
+ * @param {{uuids: Set<string>, names: Set<string>}} index  The pack's index.
+ * @param {object} doc                                      The primary Document.
+ * @param {DocumentCollection} collection                   The Document's collection.
+ */
+function indexDocument(index, doc, collection) {
+  if ( doc.name ) index.names.add(doc.name);
+  applyHierarchySync((doc, collection, i, { parent, parts, skip }={}) => {
+    const type = parent ? EMBEDDED_TYPES[parent]?.[collection] : COLLECTION_TYPE_MAP[collection];
+    if ( skip || !type || !doc?._id ) return { skip: true };
+    parts = [...(parts ?? []), type, doc._id];
+    index.uuids.add(parts.join("."));
+    index.uuids.add(parts.slice(1).join("."));
+    return { parent: collection, parts };
+  })(doc, collection);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the compendium links in a string.
+ * @param {string} value  The string.
+ * @returns {Generator<{uuid: string, legacy: boolean}>}
+ */
+function* findLinks(value) {
+  for ( const pattern of LINK_PATTERNS ) {
+    for ( const [, uuid] of value.matchAll(pattern) ) {
+      yield { uuid: `Compendium.${uuid}`, legacy: pattern === LINK_PATTERNS[1] };
+    }
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Iterate over every string within a value, other than LevelDB keys.
+ * @param {any} value                 The value.
+ * @param {string[]} [fieldPath=[]]   The path to the value.
+ * @returns {Generator<{field: string, value: string}>}
+ */
+function* iterateStrings(value, fieldPath=[]) {
+  if ( typeof value === "string" ) yield { field: fieldPath.join("."), value };
+  else if ( Array.isArray(value) ) {
+    for ( let i = 0; i < value.length; i++ ) yield* iterateStrings(value[i], [...fieldPath, String(i)]);
+  }
+  else if ( isPlainObject(value) ) {
+    for ( const [k, v] of Object.entries(value) ) {
+      if ( k !== "_key" ) yield* iterateStrings(v, [...fieldPath, k]);
+    }
+  }
+}
+
+/* -------------------------------------------- */
+/*  Renaming                                    */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} RenameOptions
+ * @property {boolean} [dryRun=false]  Report which Documents would be rewritten without writing anything.
+ */
+
+/**
+ * @typedef {object} RenameResult
+ * @property {string} [key]                    The Document's new key, when rekeying a Document.
+ * @property {string} [id]                     The Document's new ID when rekeying a Document, or the pack's new ID
+ *                                             when renaming a pack.
+ * @property {string} [path]                   The pack's new path, when renaming a pack.
+ * @property {DocumentSummary[]} updated       The Documents that were rewritten to refer to the new key or pack,
+ *                                             each with the ID of the pack that contains it as pack.
+ * @property {{pack: string, file: string}[]} sources  The source files that were rewritten, each with the ID of the
+ *                                                     pack they belong to. Files that were renamed are listed by
+ *                                                     their new path.
+ */
+
+/**
+ * Change the ID of a primary Document in a compendium pack, and rewrite every reference to it in a set of packs. Its
+ * key and the keys of its embedded Documents are changed, the Documents in its pack that it is the folder of are
+ * moved to it, and the UUIDs that link to it, or to its embedded Documents, are rewritten wherever they appear,
+ * including in the contents of Adventures.
+ * The packs' source files are rewritten too, so that packing them again does not undo the change. In the source files
+ * of the Document's own pack, every other occurrence of its ID, including in file names, is replaced as well, except
+ * within UUIDs that link to other packs.
+ * @param {LinkPack[]} packs              The packs of the package, whose references should be rewritten. Source
+ *                                        directories are only supported as the sourcePath of a compendium pack.
+ * @param {string} packId                 The ID of the pack that contains the Document, in the form <package>.<name>.
+ * @param {string} key                    The Document's LevelDB key, such as !items!<id>. For NeDB packs, the
+ *                                        equivalent key is used.
+ * @param {RenameOptions & {id?: string}} [options]
+ * @param {string} [options.id]           The Document's new ID. A random ID is generated if none is provided.
+ * @returns {Promise<RenameResult>}
+ */
+export async function rekeyDocument(packs, packId, key, { id=randomID(), dryRun=false }={}) {
+  const target = findRenamePack(packs, packId);
+  const { collection, id: oldId } = parseDocumentKey(key);
+  if ( !isValidId(id) ) throw new Error(`'${id}' is not a valid Document ID. IDs are 16 alphanumeric characters.`);
+  const newKey = `!${collection}!${id}`;
+  const doc = await readDocument(target.path, key, { nedb: target.nedb });
+  if ( !doc ) throw new Error(`The pack '${packId}' does not contain ${key}.`);
+  if ( await readDocument(target.path, newKey, { nedb: target.nedb }) ) {
+    throw new Error(`The pack '${packId}' already contains ${newKey}.`);
+  }
+
+  // Rewrite typed and legacy UUIDs that refer to the Document.
+  const [packageId, packName] = splitPackId(packId);
+  const prefix = `${escapeRegExp(packageId)}\\.${escapeRegExp(packName)}\\.`;
+  const type = escapeRegExp(COLLECTION_TYPE_MAP[collection]);
+  const reference = `(Compendium\\.${prefix}(?:${type}\\.)?|@Compendium\\[${prefix})${escapeRegExp(oldId)}`;
+  const pattern = new RegExp(`${reference}(?![a-zA-Z0-9])`, "g");
+  const rewrite = value => value.replace(pattern, (match, start) => `${start}${id}`);
+
+  // In the Document's own source files, its ID may appear anywhere, such as in its _key, the keys of its embedded
+  // Documents, the folder of the Documents it contains, and its file names.
+  const uuid = "(Compendium\\.[^.\\s\\]]+\\.[^.\\s\\]]+\\.(?:[a-zA-Z]+\\.)?|@Compendium\\[[^.\\]]+\\.[^.\\]]+\\.)";
+  const idPattern = new RegExp(`${uuid}?(?<![a-zA-Z0-9])${escapeRegExp(oldId)}(?![a-zA-Z0-9])`, "g");
+  const rewriteId = value => value.replace(idPattern, (match, start) => {
+    if ( start && !start.replace(/^@Compendium\[/, "Compendium.").startsWith(`Compendium.${packId}.`) ) return match;
+    return `${start ?? ""}${id}`;
+  });
+
+  const updated = await rewritePacks(packs, (entry, pack) => {
+    if ( (pack === target) && (entry._key === key) ) return false;
+    let changed = rewriteStrings(entry, rewrite);
+    if ( (pack === target) && (collection === "folders") && (entry.folder === oldId) ) {
+      entry.folder = id;
+      changed = true;
+    }
+    return changed;
+  }, { dryRun });
+
+  if ( !dryRun ) {
+    rewriteStrings(doc, rewrite);
+    doc._id = id;
+    applyHierarchySync(doc => {
+      delete doc._key;
+    })(doc, collection);
+    await deleteDocument(target.path, key, { nedb: target.nedb });
+    await writeDocument(target.path, doc, { nedb: target.nedb, collection });
+  }
+  const sources = rewriteSourceFiles(packs, pack => pack === target ? rewriteId : rewrite, { dryRun });
+  return { key: newKey, id, updated, sources };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Rename a compendium pack, and rewrite every UUID that links to its Documents in a set of packs, including in the
+ * contents of Adventures and in the packs' source files. The pack is moved to a sibling of its current location with
+ * the new name.
+ * @param {LinkPack[]} packs              The packs of the package, whose references should be rewritten. Source
+ *                                        directories are only supported as the sourcePath of a compendium pack.
+ * @param {string} packId                 The ID of the pack to rename, in the form <package>.<name>.
+ * @param {string} name                   The pack's new name.
+ * @param {RenameOptions} [options]
+ * @returns {Promise<RenameResult>}
+ */
+export async function renamePack(packs, packId, name, { dryRun=false }={}) {
+  const target = findRenamePack(packs, packId);
+  if ( !/^[^\s.\\/]+$/.test(name) ) throw new Error(`'${name}' is not a valid pack name.`);
+  const [packageId, packName] = splitPackId(packId);
+  const dest = path.join(path.dirname(target.path), target.nedb ? `${name}.db` : name);
+  if ( packs.some(pack => pack.id === `${packageId}.${name}`) || fs.existsSync(dest) ) {
+    throw new Error(`A pack named '${name}' already exists.`);
+  }
+
+  const packPattern = `${escapeRegExp(packageId)}\\.${escapeRegExp(packName)}`;
+  const pattern = new RegExp(`(Compendium\\.|@Compendium\\[)${packPattern}(?=\\.)`, "g");
+  const rewrite = value => value.replace(pattern, (match, start) => `${start}${packageId}.${name}`);
+  const updated = await rewritePacks(packs, entry => rewriteStrings(entry, rewrite), { dryRun });
+  const sources = rewriteSourceFiles(packs, () => rewrite, { dryRun });
+  if ( !dryRun ) fs.renameSync(target.path, dest);
+  return { id: `${packageId}.${name}`, path: dest, updated, sources };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the pack being renamed, or that contains the Document being rekeyed, among a set of packs.
+ * @param {LinkPack[]} packs  The packs.
+ * @param {string} packId     The pack's ID.
+ * @returns {LinkPack}
+ */
+function findRenamePack(packs, packId) {
+  const pack = packs.find(pack => pack.id === packId);
+  if ( !pack ) throw new Error(`The pack '${packId}' is not among the packs provided.`);
+  if ( packs.some(pack => pack.source) ) throw new Error("Source directories cannot be rewritten.");
+  return pack;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Split a pack's ID into the ID of its package and its name.
+ * @param {string} packId  The pack's ID, in the form <package>.<name>.
+ * @returns {[string, string]}
+ */
+function splitPackId(packId) {
+  const i = packId.indexOf(".");
+  if ( i < 1 ) throw new Error(`'${packId}' is not a pack ID. Pack IDs take the form <package>.<name>.`);
+  return [packId.slice(0, i), packId.slice(i + 1)];
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Apply a function to every primary Document in a set of packs, and write back those it changes.
+ * @param {LinkPack[]} packs                                  The packs.
+ * @param {function(object, LinkPack): boolean} fn            A function that modifies a Document, with its embedded
+ *                                                            Documents reassembled into it, in place, and returns
+ *                                                            whether it changed it.
+ * @param {RenameOptions} [options]
+ * @returns {Promise<DocumentSummary[]>}                      The Documents that were changed.
+ */
+async function rewritePacks(packs, fn, { dryRun=false }={}) {
+  const updated = [];
+  for ( const pack of packs ) {
+    const { id, path: src, nedb=false, documentType } = pack;
+    const collection = TYPE_COLLECTION_MAP[documentType];
+    if ( nedb && !collection ) throw new Error(`A documentType must be provided for the NeDB pack '${id}'.`);
+
+    // Read every Document before writing any, as a LevelDB pack cannot be opened while it is being read.
+    const changed = [];
+    for await ( const { doc } of readDocuments(src, { nedb, collection }) ) {
+      if ( fn(doc, pack) ) changed.push(doc);
+    }
+    for ( const doc of changed ) updated.push({ pack: id, key: doc._key, id: doc._id, name: doc.name });
+    if ( !dryRun && changed.length ) await writeDocuments(src, changed, { nedb, collection });
+  }
+  return updated;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Rewrite the text of the source files of a set of packs, and their paths relative to the packs' source directories.
+ * Binary files are left alone.
+ * @param {LinkPack[]} packs                                      The packs.
+ * @param {function(LinkPack): function(string): string} fn      A function that returns the function to rewrite the
+ *                                                                text of a pack's source files with.
+ * @param {RenameOptions} [options]
+ * @returns {{pack: string, file: string}[]}                      The files that were rewritten.
+ */
+function rewriteSourceFiles(packs, fn, { dryRun=false }={}) {
+  const rewritten = [];
+  for ( const pack of packs ) {
+    const root = pack.sourcePath;
+    if ( !root || !fs.existsSync(root) ) continue;
+    const rewrite = fn(pack);
+    for ( const file of listFiles(root) ) {
+      const src = path.join(root, file);
+      const buffer = fs.readFileSync(src);
+      if ( buffer.includes(0) ) continue;
+      const content = buffer.toString("utf8");
+      const replaced = rewrite(content);
+      const dest = path.join(root, rewrite(file));
+      if ( (replaced === content) && (dest === src) ) continue;
+      rewritten.push({ pack: pack.id, file: dest });
+      if ( dryRun ) continue;
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(dest, replaced);
+      if ( dest !== src ) {
+        fs.rmSync(src);
+        removeEmptyDirectories(path.dirname(src), root);
+      }
+    }
+  }
+  return rewritten;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove a directory and its parents, up to but excluding a root directory, for as long as they are empty.
+ * @param {string} dir   The directory.
+ * @param {string} root  The root directory.
+ */
+function removeEmptyDirectories(dir, root) {
+  while ( (dir !== root) && dir.startsWith(root) && !fs.readdirSync(dir).length ) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Replace every string within a value, in place.
+ * @param {any} value                      The value.
+ * @param {function(string): string} fn   A function that returns the replacement for a string.
+ * @returns {boolean}                      Whether any string was replaced.
+ */
+function rewriteStrings(value, fn) {
+  let changed = false;
+  const entries = Array.isArray(value) ? value.entries() : isPlainObject(value) ? Object.entries(value) : [];
+  for ( const [k, v] of entries ) {
+    if ( typeof v !== "string" ) {
+      changed = rewriteStrings(v, fn) || changed;
+      continue;
+    }
+    const replaced = fn(v);
+    if ( replaced === v ) continue;
+    value[k] = replaced;
+    changed = true;
+  }
+  return changed;
+}
+
+/* -------------------------------------------- */
+/*  Assets                                      */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {object} AssetAuditOptions
+ * @property {string} dataPath                  The user data path. Asset paths are resolved relative to its Data
+ *                                              directory.
+ * @property {string} packagePath               The path of the package's directory relative to the Data directory,
+ *                                              such as modules/my-module.
+ * @property {string} [corePath]                The path of Foundry VTT's public directory, that core assets such as
+ *                                              icons/svg/mystery-man.svg are resolved relative to. If it is not
+ *                                              provided, assets in the core asset directories are not checked.
+ * @property {boolean} [bundle=false]           Copy assets from outside the package into it, and rewrite the paths
+ *                                              that refer to them, in the packs and their source files. Source
+ *                                              directories cannot be bundled on their own.
+ * @property {string} [assetDirectory="assets"]  The directory, relative to the package's, that bundled assets are
+ *                                              copied to. Each keeps its path relative to the Data directory within it.
+ * @property {boolean} [dryRun=false]           When bundling, report what would be copied and rewritten without
+ *                                              writing anything.
+ * @property {boolean} [yaml=false]             Whether source files are YAML. Deprecated in favor of format.
+ * @property {string} [format]                  The format of source files.
+ * @property {boolean} [recursive=false]        Whether to recurse into child directories of source directories.
+ */
+
+/**
+ * @typedef {object} AssetReference
+ * @property {string} pack                      The ID of the pack containing the reference.
+ * @property {string} key                       The key of the primary Document containing the reference.
+ * @property {string} [name]                    The name of the primary Document containing the reference.
+ * @property {string} [file]                    The source file the Document was read from, if it was read from source.
+ * @property {string} field                     The path to the field containing the reference.
+ * @property {string} path                      The referenced asset path.
+ */
+
+/**
+ * @typedef {object} AssetAuditResult
+ * @property {number} assets                    The number of asset references found.
+ * @property {AssetReference[]} missing         The references to assets that do not exist.
+ * @property {AssetReference[]} external        The references to assets that exist outside the package, and are not
+ *                                              core assets.
+ * @property {AssetReference[]} invalid         The references to paths that lead outside the Data directory, which are
+ *                                              neither checked nor bundled.
+ * @property {Array<{from: string, to: string}>} bundled  The assets that were copied into the package when bundling,
+ *                                              as paths relative to the Data directory.
+ * @property {DocumentSummary[]} updated        The Documents whose asset paths were rewritten when bundling.
+ * @property {Array<{pack: string, file: string}>} [sources]  The source files whose asset paths were rewritten when
+ *                                              bundling.
+ */
+
+/**
+ * The file extensions of the image, video, and audio files that Documents may refer to.
+ * @type {Set<string>}
+ */
+const ASSET_EXTENSIONS = new Set([
+  ".apng", ".avif", ".bmp", ".gif", ".jpeg", ".jpg", ".png", ".svg", ".tiff", ".webp",
+  ".m4v", ".mp4", ".ogv", ".webm",
+  ".aac", ".flac", ".m4a", ".mid", ".mp3", ".oga", ".ogg", ".opus", ".wav"
+]);
+
+/**
+ * The directories of Foundry VTT's public directory that core assets are served from.
+ * @type {string[]}
+ */
+const CORE_ASSET_DIRECTORIES = ["cards", "icons", "sounds", "ui"];
+
+/**
+ * Find the asset files that the Documents in a set of packs refer to, and report those that do not exist, or that
+ * exist outside the package. Any string whose whole value is the path of an image, video, or audio file is considered
+ * a reference to an asset, which includes fields such as img, prototypeToken.texture.src, background.src, and the
+ * path of a PlaylistSound, in primary Documents, embedded Documents, and the contents of Adventures. Remote URLs are
+ * ignored. Optionally, assets outside the package can be copied into it, and the references to them rewritten, so
+ * that the package is self-contained.
+ * @param {LinkPack[]} packs             The packs of the package.
+ * @param {AssetAuditOptions} options
+ * @returns {Promise<AssetAuditResult>}
+ */
+export async function auditAssets(packs, {
+  dataPath, packagePath, corePath, bundle=false, assetDirectory="assets", dryRun=false, yaml=false, format,
+  recursive=false
+}={}) {
+  if ( !dataPath || !packagePath ) throw new Error("A dataPath and packagePath must be provided to audit assets.");
+  if ( bundle && packs.some(pack => pack.source) ) throw new Error("Source directories cannot be bundled.");
+  format = resolveFormat({ format, yaml });
+  const root = path.join(dataPath, "Data");
+  const packagePrefix = `${packagePath.replace(/\\/g, "/").replace(/\/$/, "")}/`;
+  const result = { assets: 0, missing: [], external: [], invalid: [], bundled: [], updated: [] };
+  const status = new Map();
+
+  for ( const { id, path: src, nedb=false, source=false, documentType } of packs ) {
+    const collection = TYPE_COLLECTION_MAP[documentType];
+    if ( nedb && !source && !collection ) throw new Error(`A documentType must be provided for the NeDB pack '${id}'.`);
+    for await ( const { doc, file } of readDocuments(src, { nedb, source, format, recursive, collection }) ) {
+      for ( const { field, value } of iterateStrings(doc) ) {
+        if ( !isAssetPath(value) ) continue;
+        result.assets++;
+        if ( !status.has(value) ) status.set(value, resolveAsset(value, { root, corePath, packagePrefix }));
+        const assetStatus = status.get(value);
+        if ( assetStatus === "found" ) continue;
+        const reference = { pack: id, key: doc._key, name: doc.name, field, path: value };
+        if ( file ) reference.file = file;
+        result[assetStatus].push(reference);
+      }
+    }
+  }
+  if ( !bundle ) return result;
+
+  // Copy the assets outside the package into it, and rewrite the references to them.
+  const replacements = new Map();
+  for ( const { path: asset } of result.external ) {
+    if ( replacements.has(asset) ) continue;
+    const relative = normalizeAssetPath(asset);
+    const to = `${packagePrefix}${assetDirectory.replace(/\\/g, "/").replace(/^\/|\/$/g, "")}/${relative}`;
+    replacements.set(asset, to);
+    result.bundled.push({ from: relative, to });
+    if ( dryRun ) continue;
+    const dest = path.join(root, decodeAssetPath(to));
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(path.join(root, decodeAssetPath(relative)), dest);
+  }
+  if ( replacements.size ) {
+    const rewrite = value => replacements.get(value) ?? value;
+    result.updated = await rewritePacks(packs, doc => rewriteStrings(doc, rewrite), { dryRun });
+
+    // In source files, only rewrite paths that make up the whole of a quoted or unquoted string.
+    const assets = [...replacements.keys()].map(escapeRegExp).join("|");
+    const pattern = new RegExp(`(?<=^|["'\\s])(?:${assets})(?=["']|\\s*$)`, "gm");
+    result.sources = rewriteSourceFiles(packs, () => value => value.replace(pattern, rewrite), { dryRun });
+  }
+  return result;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine whether a string is the path of a local asset file.
+ * @param {string} value  The string.
+ * @returns {boolean}
+ */
+function isAssetPath(value) {
+  if ( !value || /\s$|^\s|[\n<>]/.test(value) || /^[a-z][a-z0-9+.-]*:/i.test(value) ) return false;
+  return ASSET_EXTENSIONS.has(path.extname(stripAssetPath(value)).toLowerCase());
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove any leading slash, query string, or fragment from an asset path.
+ * @param {string} value  The asset path.
+ * @returns {string}
+ */
+function stripAssetPath(value) {
+  return value.replace(/[?#].*$/, "").replace(/^\/+/, "");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Normalize an asset path relative to the Data directory, resolving any . or .. segments within it.
+ * @param {string} value  The asset path.
+ * @returns {string|void}  The normalized path, or nothing if it leads outside the Data directory.
+ */
+function normalizeAssetPath(value) {
+  const relative = path.posix.normalize(stripAssetPath(value));
+  const escapes = candidate => (candidate === "..") || candidate.startsWith("../");
+  if ( escapes(relative) || escapes(path.posix.normalize(decodeAssetPath(relative))) ) return;
+  return relative;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Decode the percent-encoded characters in an asset path, if it has any.
+ * @param {string} value  The asset path.
+ * @returns {string}
+ */
+function decodeAssetPath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
 
-  // Write the adventure itself
-  const filename = path.join(dest, name);
-  await serializeDocument(checkVolatile(doc, name, { omitVolatile, existing, yaml }), filename, {
-    yaml, yamlOptions, jsonOptions, transformSerialized
-  });
-  if ( log ) console.log(`Wrote ${chalk.blue(name)}`);
+/* -------------------------------------------- */
+
+/**
+ * Determine whether an asset exists, and whether it is part of the package.
+ * @param {string} value                     The asset path.
+ * @param {object} options
+ * @param {string} options.root              The Data directory.
+ * @param {string} [options.corePath]        Foundry VTT's public directory.
+ * @param {string} options.packagePrefix     The package's directory relative to the Data directory, with a trailing
+ *                                           slash.
+ * @returns {"found"|"missing"|"external"|"invalid"}
+ */
+function resolveAsset(value, { root, corePath, packagePrefix }) {
+  const relative = normalizeAssetPath(value);
+  if ( !relative ) return "invalid";
+  const candidates = [...new Set([relative, decodeAssetPath(relative)])];
+  if ( candidates.some(candidate => fs.existsSync(path.join(root, candidate))) ) {
+    return relative.startsWith(packagePrefix) ? "found" : "external";
+  }
+  const [directory] = relative.split("/");
+  if ( corePath ) {
+    if ( candidates.some(candidate => fs.existsSync(path.join(corePath, candidate))) ) return "found";
+  }
+  else if ( CORE_ASSET_DIRECTORIES.includes(directory) ) return "found";
+  return "missing";
 }
 
 /* -------------------------------------------- */
@@ -731,6 +3146,69 @@ function applyHierarchySync(fn) {
 
 /* -------------------------------------------- */
 
+/**
+ * Recursively assign LevelDB keys to a Document and its embedded Documents.
+ * @type {HierarchyApplyCallback}
+ */
+const assignKeys = applyHierarchy((doc, collection, { sublevelPrefix, idPrefix }={}) => {
+  const sublevel = keyJoin(sublevelPrefix, collection);
+  const id = keyJoin(idPrefix, doc._id);
+  doc._key = `!${sublevel}!${id}`;
+  return { sublevelPrefix: sublevel, idPrefix: id };
+});
+
+/* -------------------------------------------- */
+
+/**
+ * Reassemble a primary Document read from a LevelDB pack by replacing the IDs in its embedded collections with the
+ * embedded Documents themselves, recursively. LevelDB keys are assigned to the Document and each embedded Document.
+ * @param {ClassicLevel} db                   The LevelDB pack.
+ * @param {object} doc                        The primary Document.
+ * @param {DocumentCollection} collection     The Document's collection.
+ * @returns {Promise<void>}
+ */
+async function reassembleDocument(db, doc, collection) {
+  const reassemble = applyHierarchy(async (doc, collection, { sublevelPrefix, idPrefix }={}) => {
+    const sublevel = keyJoin(sublevelPrefix, collection);
+    const id = keyJoin(idPrefix, doc._id);
+    doc._key = `!${sublevel}!${id}`;
+    await mapHierarchy(doc, collection, (embeddedId, embeddedCollectionName) => {
+      return db.get(`!${sublevel}.${embeddedCollectionName}!${id}.${embeddedId}`);
+    });
+    return { sublevelPrefix: sublevel, idPrefix: id };
+  });
+  await reassemble(doc, collection);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Flatten a Document and its embedded Documents into individual entries, in the same way they are stored in a
+ * LevelDB pack. The Document's _key fields are consumed in the process.
+ * @param {object} doc                    The Document.
+ * @param {string} collection             The Document's collection.
+ * @param {Map<string, object>} entries   The map of entries to add to.
+ * @param {object} [options]
+ * @param {Map<string, string>} [options.sources]  A map of keys to the source files they were read from, used to
+ *                                                 identify the file that already claimed a duplicate key.
+ * @param {string} [options.file]                  The source file the Document was read from.
+ * @returns {Promise<void>}
+ */
+async function flattenDocument(doc, collection, entries, { sources, file }={}) {
+  const flatten = applyHierarchy(async (doc, collection) => {
+    const key = doc._key;
+    delete doc._key;
+    if ( entries.has(key) ) throw duplicateKeyError(key, sources?.get(key));
+    sources?.set(key, file);
+    const value = structuredClone(doc);
+    await mapHierarchy(value, collection, d => d._id);
+    entries.set(key, value);
+  });
+  await flatten(doc, collection);
+}
+
+/* -------------------------------------------- */
+
 /**
  * Build up the folder structure used to extract files.
  * @param {object[]} folders                               Folders to process.
@@ -791,42 +3269,251 @@ async function mapHierarchy(doc, collection, fn) {
  * @param {Partial<CompileOptions>} [options]
  * @returns {string[]}
  */
-function findSourceFiles(root, { yaml=false, recursive=false }={}) {
+function findSourceFiles(root, { format, recursive=false }={}) {
   const files = [];
   for ( const entry of fs.readdirSync(root, { withFileTypes: true }) ) {
     const name = path.join(root, entry.name);
     if ( entry.isDirectory() && recursive ) {
-      files.push(...findSourceFiles(name, { yaml, recursive }));
+      files.push(...findSourceFiles(name, { format, recursive }));
       continue;
     }
     if ( !entry.isFile() ) continue;
-    const ext = path.extname(name);
-    const isYaml = (ext === ".yml") || (ext === ".yaml");
-    if ( yaml && isYaml ) files.push(name);
-    else if ( !yaml && (ext === ".json") ) files.push(name);
+    if ( format.extensions.includes(path.extname(name)) ) files.push(name);
+  }
+  return files;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the source files that are referenced by other source files, such as the contents of an Adventure or embedded
+ * Documents written to their own files.
+ * @param {string[]} files                  The source files.
+ * @param {SerializationFormat} format      The format the source files are in.
+ * @returns {Set<string>}                   The paths of the referenced files.
+ */
+function findReferencedFiles(files, format) {
+  const referenced = new Set();
+  for ( const file of files ) {
+    let doc;
+    try {
+      doc = readSourceFile(file, format);
+    } catch {
+      continue; // The error will be reported when the file is compiled.
+    }
+    if ( !isPlainObject(doc) ) continue;
+    for ( const value of Object.values(doc) ) {
+      if ( !Array.isArray(value) ) continue;
+      for ( const entry of value ) {
+        const isPath = (typeof entry === "string") && format.extensions.includes(path.extname(entry));
+        if ( isPath ) referenced.add(path.join(path.dirname(file), entry));
+      }
+    }
+  }
+  return referenced;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * List all files in a directory and its sub-directories.
+ * @param {string} root  The directory.
+ * @returns {string[]}   The file paths, relative to the directory.
+ */
+function listFiles(root) {
+  const files = [];
+  for ( const entry of fs.readdirSync(root, { withFileTypes: true }) ) {
+    if ( entry.isDirectory() ) {
+      files.push(...listFiles(path.join(root, entry.name)).map(file => path.join(entry.name, file)));
+    }
+    else if ( entry.isFile() ) files.push(entry.name);
   }
   return files;
 }
 
 /* -------------------------------------------- */
 
+/**
+ * Read and parse a serialized source file. The file is parsed according to its extension, falling back to JSON if no
+ * registered format uses it.
+ * @param {string} file                     The path to the source file.
+ * @param {SerializationFormat} [format]    The format to prefer if more than one registered format uses the file's
+ *                                          extension.
+ * @returns {any}                           The parsed file contents.
+ */
+function readSourceFile(file, format) {
+  const contents = fs.readFileSync(file, "utf8");
+  return (getFileFormat(file, format) ?? resolveFormat()).parse(contents);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Resolve the path of a file referenced by a source file, relative to the directory the source file is in. Paths that
+ * lead outside of that directory are rejected, so that packing cannot read arbitrary files into a pack.
+ * @param {string} src   The directory containing the source file.
+ * @param {string} file  The referenced path.
+ * @returns {string}     The path of the referenced file.
+ */
+function resolveSourcePath(src, file) {
+  const relative = path.relative(path.resolve(src), path.resolve(src, file));
+  if ( !relative || (relative.split(path.sep)[0] === "..") || path.isAbsolute(relative) ) {
+    throw new Error(`The referenced file '${file}' is outside of the directory '${src}'.`);
+  }
+  return path.join(src, relative);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Read the Documents stored in a NeDB pack without loading it as a Datastore, since loading one compacts its file and
+ * so rewrites the pack. Each line of the file is a Document, replacing any earlier line with the same _id, or a marker
+ * that the Document with that _id was deleted.
+ * @param {string} pack  The NeDB pack.
+ * @returns {object[]}   The Documents, ordered by their IDs as NeDB would return them.
+ */
+function readNedbDocuments(pack) {
+  if ( !fs.existsSync(pack) ) throw new Error(`The NeDB pack '${pack}' does not exist.`);
+  const docs = new Map();
+  for ( const [i, line] of fs.readFileSync(pack, "utf8").split("\n").entries() ) {
+    if ( !line.trim() ) continue;
+    let doc;
+    try {
+      doc = JSON.parse(line);
+    } catch ( err ) {
+      throw new Error(`Failed to parse line ${i + 1} of the NeDB pack '${pack}': ${err.message}`);
+    }
+    if ( ("$$indexCreated" in doc) || ("$$indexRemoved" in doc) ) continue;
+    if ( doc.$$deleted ) docs.delete(doc._id);
+    else docs.set(doc._id, doc);
+  }
+  return Array.from(docs.keys()).sort().map(id => docs.get(id));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Keys that are always serialized first, in this order, when serializing canonically.
+ * @type {string[]}
+ */
+const CANONICAL_KEYS = ["_id", "name", "type"];
+
+/**
+ * Produce a copy of a value with the keys of every object within it sorted, so that it serializes identically
+ * regardless of the order its keys were written in.
+ * @param {any} value  The value.
+ * @returns {any}      The canonical copy.
+ */
+function canonicalize(value) {
+  if ( Array.isArray(value) ) return value.map(canonicalize);
+  if ( Object.is(value, -0) ) return 0;
+  if ( !isPlainObject(value) ) return value;
+  const keys = Object.keys(value).sort((a, b) => {
+    const ia = CANONICAL_KEYS.indexOf(a);
+    const ib = CANONICAL_KEYS.indexOf(b);
+    if ( (ia > -1) || (ib > -1) ) return (ia < 0 ? Infinity : ia) - (ib < 0 ? Infinity : ib);
+    return a < b ? -1 : a > b ? 1 : 0;
+  });
+  return Object.fromEntries(keys.map(k => [k, canonicalize(value[k])]));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Order a Document's embedded Documents by their sort field, and then by their ID, in place. The contents of an
+ * Adventure are ordered likewise.
+ * @param {object} doc                     The Document.
+ * @param {DocumentCollection} collection  The Document's collection.
+ */
+function orderEmbeddedDocuments(doc, collection) {
+  const compare = (a, b) => {
+    const sa = a?.sort ?? 0;
+    const sb = b?.sort ?? 0;
+    if ( sa !== sb ) return sa - sb;
+    const ia = String(a?._id ?? "");
+    const ib = String(b?._id ?? "");
+    return ia < ib ? -1 : ia > ib ? 1 : 0;
+  };
+  if ( collection === "adventures" ) {
+    for ( const embeddedCollectionName of ADVENTURE_DOCS ) {
+      const contents = doc[embeddedCollectionName];
+      if ( !Array.isArray(contents) ) continue;
+      contents.sort(compare);
+      for ( const entry of contents ) orderEmbeddedDocuments(entry, embeddedCollectionName);
+    }
+    return;
+  }
+  applyHierarchySync((doc, collection) => {
+    for ( const [embeddedCollectionName, type] of Object.entries(HIERARCHY[collection] ?? {}) ) {
+      const embedded = doc[embeddedCollectionName];
+      if ( Array.isArray(type) && Array.isArray(embedded) ) embedded.sort(compare);
+    }
+  })(doc, collection);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Reorder a Document's embedded Documents to match the order they are stored in, wherever an embedded collection
+ * contains the same Documents as the stored one, so that a Document whose embedded Documents were only reordered, such
+ * as by the canonical option, is not treated as changed. The contents of an Adventure are reordered likewise.
+ * @param {object} doc                     The Document, or a flattened entry whose embedded collections contain IDs.
+ * @param {object} stored                  The stored Document or entry.
+ * @param {DocumentCollection} collection  The Document's collection.
+ */
+function alignEmbeddedOrder(doc, stored, collection) {
+  if ( !isPlainObject(doc) || !isPlainObject(stored) ) return;
+  const getId = entry => isPlainObject(entry) ? entry._id : entry;
+  const embedded = collection === "adventures"
+    ? ADVENTURE_DOCS.map(name => [name, []])
+    : Object.entries(HIERARCHY[collection] ?? {});
+  for ( const [embeddedCollectionName, type] of embedded ) {
+    const entries = doc[embeddedCollectionName];
+    const storedEntries = stored[embeddedCollectionName];
+    if ( !Array.isArray(type) ) {
+      alignEmbeddedOrder(entries, storedEntries, embeddedCollectionName);
+      continue;
+    }
+    if ( !Array.isArray(entries) || !Array.isArray(storedEntries) ) continue;
+    const order = new Map(storedEntries.map((entry, i) => [getId(entry), i]));
+    const ids = new Set(entries.map(getId));
+    const same = (ids.size === entries.length) && (order.size === storedEntries.length) && (ids.size === order.size)
+      && Array.from(ids).every(id => order.has(id));
+    if ( same ) entries.sort((a, b) => order.get(getId(a)) - order.get(getId(b)));
+    for ( const entry of entries ) {
+      if ( order.has(getId(entry)) ) {
+        alignEmbeddedOrder(entry, storedEntries[order.get(getId(entry))], embeddedCollectionName);
+      }
+    }
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the collection of the Document stored under a LevelDB key.
+ * @param {string} key                 The key.
+ * @returns {DocumentCollection}
+ */
+function getKeyCollection(key) {
+  return key.split("!")[1].split(".").at(-1);
+}
+
+/* -------------------------------------------- */
+
 /**
  * Serialize a Document and write it to the filesystem.
  * @param {object} doc                         The Document to serialize.
  * @param {string} filename                    The filename to write it to.
  * @param {Partial<ExtractOptions>} [options]  Options to configure serialization behavior.
  */
-async function serializeDocument(doc, filename, { yaml, yamlOptions, jsonOptions, transformSerialized }={}) {
+async function serializeDocument(doc, filename, { format, formatOptions, canonical, transformSerialized }={}) {
   fs.mkdirSync(path.dirname(filename), { recursive: true });
-  let serialized;
-  if ( yaml ) serialized = YAML.dump(doc, yamlOptions);
-  else {
-    const { replacer=null, space=2 } = jsonOptions;
-    serialized = JSON.stringify(doc, replacer, space) + "\n";
-  }
+  let serialized = format.stringify(canonical ? canonicalize(doc) : doc, formatOptions);
+  if ( canonical ) serialized = serialized.replace(/\r\n?/g, "\n").replace(/\n*$/, "\n");
 
   if ( typeof transformSerialized === "function" ) {
-    serialized = await transformSerialized(serialized, { yaml, filename });
+    serialized = await transformSerialized(serialized, { yaml: format.name === "yaml", format: format.name, filename });
   }
 
   fs.writeFileSync(filename, serialized);
@@ -834,6 +3521,166 @@ async function serializeDocument(doc, filename, { yaml, yamlOptions, jsonOptions
 
 /* -------------------------------------------- */
 
+/**
+ * @typedef {object} ContentReference
+ * @property {string} _file  The path to the file containing the content, relative to the Document's source file.
+ */
+
+/**
+ * Write the text content of a JournalEntry's pages, or a script Macro's command, to their own files alongside the
+ * Document's source file, replacing them with references to those files.
+ * @param {object} doc                         The Document.
+ * @param {DocumentCollection} collection      The Document's collection.
+ * @param {string} filename                    The path the Document's source file will be written to.
+ * @param {object} [options]
+ * @param {string} [options.dest]              The root output directory, that written files are reported relative to.
+ * @param {ProgressReporter} [options.report]  The function to report progress to.
+ */
+function extractContent(doc, collection, filename, { dest, report }={}) {
+  const base = filename.slice(0, filename.length - path.extname(filename).length);
+  mapContent(doc, collection, (content, suffix) => {
+    if ( (typeof content !== "string") || !content ) return content;
+    const file = `${base}${suffix}`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    report?.({ type: "wrote", file: path.relative(dest ?? path.dirname(file), file) });
+    return { _file: path.basename(file) };
+  });
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Replace any references to content files in a JournalEntry's pages, or a script Macro's command, with the contents of
+ * those files.
+ * @param {object} doc                     The Document.
+ * @param {DocumentCollection} collection  The Document's collection.
+ * @param {string} src                     The directory containing the Document's source file.
+ */
+function inlineContent(doc, collection, src) {
+  mapContent(doc, collection, content => {
+    if ( !isContentReference(content) ) return content;
+    const file = resolveSourcePath(src, content._file);
+    if ( !fs.existsSync(file) ) {
+      throw new Error(`The Document references the content file '${content._file}', which does not exist.`);
+    }
+    return fs.readFileSync(file, "utf8");
+  });
+}
+
+/* -------------------------------------------- */
+
+/**
+ * @callback ContentMapper
+ * @param {any} content      The current value of the field.
+ * @param {string} suffix    The suffix of the file that the field's content is extracted to, including its extension.
+ * @returns {any}            The new value of the field.
+ */
+
+/**
+ * Transform each field of a Document that holds content which can be extracted to its own file. These are the HTML
+ * and Markdown text of a JournalEntry's pages, and the command of a script Macro.
+ * @param {object} doc                     The Document.
+ * @param {DocumentCollection} collection  The Document's collection.
+ * @param {ContentMapper} fn               The function to invoke.
+ */
+function mapContent(doc, collection, fn) {
+  const apply = (object, field, suffix) => {
+    if ( object[field] !== undefined ) object[field] = fn(object[field], suffix);
+  };
+  const applyPage = (page, suffix) => {
+    if ( !isPlainObject(page?.text) ) return;
+    apply(page.text, "content", `${suffix}.html`);
+    apply(page.text, "markdown", `${suffix}.md`);
+  };
+  if ( (collection === "macros") && (doc.type === "script") ) apply(doc, "command", ".js");
+  // A JournalEntryPage that was written to its own file by the expandEmbedded option has its content written alongside
+  // it.
+  else if ( collection === "pages" ) applyPage(doc, "");
+  else if ( collection === "journal" ) {
+    for ( const page of doc.pages ?? [] ) {
+      applyPage(page, `.${page.name ? `${getSafeFilename(page.name)}_${page._id}` : page._id}`);
+    }
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine whether a value is a reference to a content file.
+ * @param {any} value  The value.
+ * @returns {value is ContentReference}
+ */
+function isContentReference(value) {
+  return isPlainObject(value) && (typeof value._file === "string");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Log what a dry run would have written or removed.
+ * @param {OperationResult} result  The result of the dry run.
+ * @param {Logger} logger           The logger to log to.
+ */
+function logPlan({ written, removed, unchanged }, logger) {
+  for ( const entry of written ) logger.log(`Would write ${chalk.blue(entry)}`);
+  for ( const entry of removed ) logger.log(`Would delete ${chalk.red(entry)}`);
+  logger.log(`${written.length} to write, ${removed.length} to delete, ${unchanged.length} unchanged.`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * @callback ProgressReporter
+ * @param {ProgressEvent} event  The event to report.
+ */
+
+/**
+ * Create a function that dispatches progress events to a logger and a progress callback.
+ * @param {object} options
+ * @param {Logger|null} [options.logger]        The logger to log events to, if any.
+ * @param {ProgressCallback} [options.onProgress]  The callback to notify of events, if any.
+ * @param {SkippedEntry[]} [options.skipped]    An array to record any skipped entries in.
+ * @returns {ProgressReporter}
+ */
+function createReporter({ logger, onProgress, skipped }={}) {
+  return event => {
+    if ( event.type === "skipped" ) {
+      const entry = { ...event };
+      delete entry.type;
+      skipped?.push(entry);
+    }
+    if ( logger ) logEvent(event, logger);
+    onProgress?.(event);
+  };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Log a progress event.
+ * @param {ProgressEvent} event  The event.
+ * @param {Logger} logger        The logger to log to.
+ */
+function logEvent(event, logger) {
+  switch ( event.type ) {
+    case "packed":
+      logger.log(`Packed ${chalk.blue(event.id)}${chalk.blue(event.name ? ` (${event.name})` : "")}`);
+      break;
+    case "removed": logger.log(`Removed ${chalk.blue(event.key)}`); break;
+    case "wrote": logger.log(`Wrote ${chalk.blue(event.file)}`); break;
+    case "error":
+      if ( event.adventure ) {
+        logger.error(`Failed to pack ${chalk.red(event.file)} as part of Adventure reconstruction.`);
+      }
+      else if ( event.file ) logger.error(`Failed to pack ${chalk.red(event.file)}. See error below.`);
+      else logger.error(`Failed to extract ${chalk.red(event.key)}. See error below.`);
+      break;
+  }
+}
+
+/* -------------------------------------------- */
+
 /**
  * Check if only a Document's volatile fields have changed, and if so, do not write those changes.
  * @param {object} doc                      The candidate Document data.
@@ -841,21 +3688,21 @@ async function serializeDocument(doc, filename, { yaml, yamlOptions, jsonOptions
  * @param {object} [options]
  * @param {boolean} [options.omitVolatile]  Only write changes if some non-volatile fields have changed.
  * @param {string} [options.existing]       The location of the existing file.
- * @param {boolean} [options.yaml]          Whether the existing files are formatted with YAML.
+ * @param {SerializationFormat} [options.format]  The format of the existing files.
  * @param {string} [options.collection]     The primaru Document collection, in order to perform hierarchical
  *                                          operations.
  * @returns {object}                        The data to write. Either the candidate data, or the existing data.
  */
-function checkVolatile(doc, name, { omitVolatile, existing, yaml, collection }={}) {
+function checkVolatile(doc, name, { omitVolatile, existing, format, collection }={}) {
   if ( !omitVolatile || !existing || !("_stats" in doc) ) return doc;
-  const parse = yaml ? YAML.load : JSON.parse;
   try {
-    const base = parse(fs.readFileSync(path.join(existing, name), { encoding: "utf8" }));
+    const base = format.parse(fs.readFileSync(path.join(existing, name), { encoding: "utf8" }));
     if ( !base || !("_stats" in base) ) return doc;
     const copy = structuredClone(doc);
     const apply = applyHierarchySync((a, collection, i) => {
       const b = i === null ? base : i < 0 ? base[collection] : base[collection]?.[i];
-      if ( !b || !("_stats" in b) ) return;
+      // Embedded Documents written to their own files are referenced by path rather than included.
+      if ( !isPlainObject(a) || !isPlainObject(b) || !("_stats" in b) ) return;
       for ( const p of VOLATILE_FIELDS ) {
         if ( p in b._stats ) a._stats[p] = b._stats[p];
       }
@@ -894,6 +3741,80 @@ function testEquality(a, b, depth=0) {
 
 /* -------------------------------------------- */
 
+/**
+ * Escape a string so that it matches itself literally when used in a regular expression.
+ * @param {string} string  The string.
+ * @returns {string}
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine whether a value is a plain object.
+ * @param {any} value  The value to test.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return (value !== null) && (typeof value === "object") && !Array.isArray(value);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine whether a value is a valid Document ID.
+ * @param {any} id  The value to test.
+ * @returns {boolean}
+ */
+function isValidId(id) {
+  return (typeof id === "string") && /^[a-zA-Z0-9]{16}$/.test(id);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Create the error thrown when an entry's key has already been packed.
+ * @param {string} key        The duplicate key.
+ * @param {string} [source]   The source file that the key was first packed from, if known.
+ * @returns {Error}
+ */
+function duplicateKeyError(key, source) {
+  const from = source ? ` from '${source}'` : "";
+  return new Error(`An entry with key '${key}' was already packed${from} and would be overwritten by this entry.`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Create the error thrown when one or more source files failed to compile in keepGoing mode.
+ * @param {CompileFailure[]} failures  The failures.
+ * @returns {AggregateError}
+ */
+function createCompileError(failures) {
+  const files = new Set(failures.map(f => f.file)).size;
+  const lines = failures.map(({ file, error }) => `  ${file}: ${error.message}`);
+  const message = `Failed to compile ${files} source file${files === 1 ? "" : "s"}, the pack was not modified.`;
+  const err = new AggregateError(failures.map(f => f.error), [message, ...lines].join("\n"));
+  err.failures = failures;
+  return err;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Generate a random alphanumeric ID, in the same form as those generated by Foundry VTT.
+ * @param {number} [length=16]  The length of the ID.
+ * @returns {string}
+ */
+function randomID(length=16) {
+  const chars = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  return Array.from({ length }, () => chars[crypto.randomInt(chars.length)]).join("");
+}
+
+/* -------------------------------------------- */
+
 /**
  * Join non-blank key parts.
  * @param {...string} args  Key parts.